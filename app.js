@@ -1,7 +1,8 @@
 /**
  * Personnel Organizational Chart - With Data Sources
  * Auto-loads personnel_data.csv on first visit
- * CSV Format: name,email,role,team,institution,projects,data_sources,services,status
+ * CSV Format: name,email,role,team,institution,projects,data_sources,services,status[,reports_to]
+ * Optional reports_to (or manager) column holds the manager's email and feeds the Org Chart view
  */
 
 // ================================
@@ -15,6 +16,14 @@ const AppState = {
     projects: new Set(),    // Unique projects
     dataSources: new Set(), // Unique data sources
     services: new Set(),    // Unique services
+    entities: {},           // Entity type -> Map(canonical name -> { id, type, name, people })
+    aliases: {},            // Entity type -> { variant: canonical name }, saved with the dataset
+    aliasSuggestions: [],   // Near-duplicate tag groups offered in the alias editor
+    entityMetadata: {},     // Entity type -> { fileName, columns, rows } from its companion CSV
+    metadataIssues: {},     // Entity type -> { missing, unreferenced, duplicates } names
+    dataAccess: null,       // { fileName, rows } from data_access.csv
+    accessRoles: new Map(), // Person -> Map(data source name -> access role)
+    accessIssues: [],       // data_access.csv rows that match no person, source or role
     currentView: 'grid',    // Current view mode
     currentPage: 1,         // Current page for table view
     itemsPerPage: 10,       // Items per page
@@ -22,7 +31,82 @@ const AppState = {
     sortDirection: 'asc',   // Sort direction
     csvHeaders: [],         // CSV column headers
     hasData: false,         // Whether data is loaded
-    csvFileName: 'personnel_data.csv'  // Default CSV file to load
+    csvFileName: 'personnel_data.csv',  // Default CSV file to load
+    hierarchy: null,        // Reporting tree built from reports_to / manager
+    collapsedNodes: new Set(), // Org chart nodes the user has collapsed
+    orgChartZoom: 1,        // Org chart zoom level
+    orgChartPan: { x: 0, y: 0 }, // Org chart pan offset
+    networkTypes: new Set(['person', 'team', 'project', 'dataSource', 'service']), // Node types drawn in the network
+    networkPositions: new Map(), // Network node id -> { x, y } from the last layout
+    networkZoom: 1,         // Network zoom level
+    networkPan: { x: 0, y: 0 }, // Network pan offset
+    networkPath: null,      // { from, to } person keys whose shortest path is highlighted
+    riskLeaving: new Set(), // Person keys treated as gone in the risk report simulation
+    matrix: { type: 'service', order: 'name', groupByTeam: false, sortBy: null }, // Matrix columns, ordering and grouping
+    pendingImport: null,    // Uploaded rows awaiting review in the import section
+    loadReport: null,       // { fileName, csvText, skippedCount } when auto-loading skipped invalid rows
+    pendingWorkbook: null,  // { fileName, sheets } of an uploaded workbook while a sheet is picked
+    columnMapping: null,    // { records, columns, fileName, mapping } of the upload being imported
+    activeVersion: null,    // History version currently loaded { id, source, timestamp, rowCount }
+    dataInfoMessage: '',    // Last message shown in the data info bar
+    user: null,             // Signed-in user { name, role, provider } (null = anonymous viewer)
+    personById: new Map(),  // Lookup for rendered records by their data-person-id
+    selectedPersonKey: null, // Person shown in the detail modal
+    searchSuggestions: null, // Autocomplete list for the search box
+    facets: {},             // Facet key -> { selected: Set, mode: 'or' | 'and' }
+    searchIndex: buildSearchIndex([]), // Rebuilt from the data by extractUniqueValues
+    searchScores: null,     // Person -> relevance for the current search
+    searchHighlights: [],   // Folded strings to <mark> in grid and table results
+    openModal: null,        // { type, id } of the open detail modal, mirrored in the URL
+    savedViews: [],         // Named view presets { name, state, pinned, created } kept in localStorage
+    editForm: null          // Person edit form state { key, tags }
+};
+
+// IndexedDB version history
+const HISTORY_DB_NAME = 'orgChartHistory';
+const HISTORY_STORE = 'versions';
+const MAX_HISTORY_VERSIONS = 25;
+
+// ================================
+// ACCESS CONTROL CONFIGURATION
+// ================================
+// Deployments can override any of this by defining window.OrgChartAuthConfig before app.js loads.
+const DefaultAuthConfig = {
+    provider: 'passphrase',     // 'passphrase' (static, works on GitHub Pages) or 'oidc'
+    defaultRole: 'viewer',      // Role for anyone who has not signed in
+    
+    // Passphrase mode: PBKDF2-SHA256 hashes, generated with hashPassphrase() in the browser console
+    passphrases: [
+        // { role: 'admin', salt: 'random-salt', hash: '…' }
+    ],
+    iterations: 150000,
+    
+    // OIDC mode: authorization code flow with PKCE against any compliant provider
+    oidc: {
+        issuer: '',             // e.g. http://localhost:8080/default for a local mock provider
+        clientId: '',
+        scope: 'openid email profile',
+        roleClaim: 'roles',     // Claim holding the user's groups or roles
+        roleMap: {              // Claim value -> app role
+            'org-chart-admin': 'admin',
+            'org-chart-editor': 'editor'
+        }
+    }
+};
+
+// oidc is merged key by key, so setting only issuer and clientId keeps the scope and role map
+const AuthConfig = Object.assign({}, DefaultAuthConfig, window.OrgChartAuthConfig, {
+    oidc: Object.assign({}, DefaultAuthConfig.oidc, (window.OrgChartAuthConfig || {}).oidc)
+});
+
+const ROLE_LEVELS = { viewer: 0, editor: 1, admin: 2 };
+
+// Minimum role for each gated action
+const PERMISSIONS = {
+    edit: 'editor',
+    history: 'editor',
+    upload: 'admin',
+    restore: 'admin'
 };
 
 // ================================
@@ -36,6 +120,11 @@ async function initializeApp() {
     // Initialize event listeners
     initializeEventListeners();
     
+    // Restore or complete sign-in before showing role-gated actions
+    await initializeAuth();
+    
+    loadSavedViews();
+    
     // Show loading spinner
     showLoadingSpinner(true);
     
@@ -66,6 +155,9 @@ async function initializeApp() {
         }
         showLoadingSpinner(false);
     }
+    
+    // Restore view, filters and modal from a shared link
+    applyUrlState();
 }
 
 // ================================
@@ -80,7 +172,7 @@ async function loadCSVFromFile() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        const csvText = await response.text();
+        const csvText = decodeCSVBytes(await response.arrayBuffer());
         
         // Check if we got actual CSV content
         if (!csvText || csvText.trim().length === 0) {
@@ -90,14 +182,32 @@ async function loadCSVFromFile() {
         // Parse the CSV
         const csvData = parseCSV(csvText);
         
-        // Validate the CSV data
-        if (validateCSVData(csvData)) {
-            loadCSVData(csvData);
-            showDashboard();
-            updateStatistics();
-            renderCurrentView();
-            showToast(`Loaded ${csvData.length} personnel from ${AppState.csvFileName}`, 'success');
-            updateDataInfoBar(`Data loaded: ${csvData.length} personnel from ${AppState.csvFileName}`);
+        // Validate the CSV data, keeping only rows without errors
+        const report = validateCSVData(csvData);
+        const validRows = getValidRows(csvData, report);
+        if (validRows.length === 0) {
+            throw new Error('No valid rows in CSV file');
+        }
+        
+        // Optional projects.csv, data_sources.csv, services.csv and data_access.csv
+        AppState.entityMetadata = await loadEntityMetadataFiles();
+        AppState.dataAccess = await loadDataAccessFile();
+        
+        loadCSVData(validRows, AppState.csvFileName);
+        if (report.errorCount > 0) {
+            // Kept so an admin can review and fix the skipped rows in the import section
+            AppState.loadReport = { fileName: AppState.csvFileName, csvText, skippedCount: csvData.length - validRows.length };
+        }
+        reportEntityMetadataIssues();
+        showDashboard();
+        updateStatistics();
+        renderCurrentView();
+        updateDataInfoBar(`Data loaded: ${validRows.length} personnel from ${AppState.csvFileName}`);
+        
+        if (report.errorCount > 0) {
+            showToast(`Loaded ${validRows.length} personnel from ${AppState.csvFileName}; ${AppState.loadReport.skippedCount} invalid rows skipped`, 'warning');
+        } else {
+            showToast(`Loaded ${validRows.length} personnel from ${AppState.csvFileName}`, 'success');
         }
     } catch (error) {
         console.error('Error loading CSV file:', error);
@@ -137,7 +247,7 @@ Caroline Huang,person18@company.com,Graduate Student,Translational TB;Oncology;C
 Christine Wan,person19@company.com,Graduate Student,Clinical TB;AI/Stats;HIV;Oncology,UCSF,TTP,Dropbox;Teams,Slack;Teams;Email;NONMEM;R;GitHub,active`;
     
     const csvData = parseCSV(sampleCSV);
-    loadCSVData(csvData);
+    loadCSVData(csvData, 'Sample data');
     showDashboard();
     updateStatistics();
     renderCurrentView();
@@ -161,7 +271,6 @@ async function refreshData() {
             populateFilters();
             applyFilters();
             updateStatistics();
-            renderCurrentView();
             showToast('Data refreshed', 'success');
         }
         showLoadingSpinner(false);
@@ -218,12 +327,9 @@ function initializeEventListeners() {
     });
     
     // Search and filters
-    document.getElementById('searchInput').addEventListener('input', debounce(applyFilters, 300));
-    document.getElementById('teamFilter').addEventListener('change', applyFilters);
-    document.getElementById('institutionFilter').addEventListener('change', applyFilters);
-    document.getElementById('projectFilter').addEventListener('change', applyFilters);
-    document.getElementById('dataSourceFilter').addEventListener('change', applyFilters);
-    document.getElementById('statusFilter').addEventListener('change', applyFilters);
+    initializeSearchAutocomplete();
+    // Typing replaces the history entry instead of adding one per keystroke pause
+    document.getElementById('searchInput').addEventListener('input', debounce(() => applyFilters({ replaceUrl: true }), 300));
     document.getElementById('clearFilters').addEventListener('click', clearFilters);
     
     // Export buttons
@@ -235,10 +341,126 @@ function initializeEventListeners() {
     // Modal controls
     document.getElementById('closeModal').addEventListener('click', closePersonModal);
     document.getElementById('closeModalBtn').addEventListener('click', closePersonModal);
-    document.getElementById('closeProjectModal').addEventListener('click', closeProjectModal);
-    document.getElementById('closeProjectModalBtn').addEventListener('click', closeProjectModal);
-    document.getElementById('closeDataSourceModal').addEventListener('click', closeDataSourceModal);
-    document.getElementById('closeDataSourceModalBtn').addEventListener('click', closeDataSourceModal);
+    document.getElementById('closeEntityModal').addEventListener('click', closeEntityModal);
+    document.getElementById('closeEntityModalBtn').addEventListener('click', closeEntityModal);
+    
+    // Sign in / out
+    document.getElementById('signInBtn').addEventListener('click', showSignInModal);
+    document.getElementById('signOutBtn').addEventListener('click', signOut);
+    document.getElementById('signInForm').addEventListener('submit', submitSignIn);
+    document.getElementById('closeSignInModal').addEventListener('click', closeSignInModal);
+    document.getElementById('cancelSignIn').addEventListener('click', closeSignInModal);
+    
+    // Person editing
+    document.getElementById('addPerson').addEventListener('click', () => showPersonEditor());
+    document.getElementById('editPersonBtn').addEventListener('click', editSelectedPerson);
+    document.getElementById('toggleStatusBtn').addEventListener('click', togglePersonStatus);
+    document.getElementById('personEditForm').addEventListener('submit', savePersonForm);
+    document.getElementById('closePersonEditModal').addEventListener('click', closePersonEditor);
+    document.getElementById('cancelPersonEdit').addEventListener('click', closePersonEditor);
+    initializeTagPickers();
+    
+    // Tag aliases
+    document.getElementById('manageAliases').addEventListener('click', showAliasModal);
+    document.getElementById('aliasForm').addEventListener('submit', submitAliasForm);
+    document.getElementById('aliasType').addEventListener('change', updateAliasOptions);
+    document.getElementById('closeAliasModal').addEventListener('click', closeAliasModal);
+    document.getElementById('closeAliasModalBtn').addEventListener('click', closeAliasModal);
+    
+    // Data history
+    document.getElementById('showHistory').addEventListener('click', showHistoryModal);
+    document.getElementById('closeHistoryModal').addEventListener('click', closeHistoryModal);
+    document.getElementById('closeHistoryModalBtn').addEventListener('click', closeHistoryModal);
+    
+    // Org chart controls
+    initializeOrgChartControls();
+    
+    // Network controls
+    initializeNetworkControls();
+    
+    // Matrix controls
+    initializeMatrixControls();
+    
+    // Buttons and inputs inside rendered views
+    initializeDelegatedActions();
+    
+    // Saved views
+    document.getElementById('saveCurrentView').addEventListener('click', showSavedViewsModal);
+    document.getElementById('manageSavedViews').addEventListener('click', showSavedViewsModal);
+    document.getElementById('saveViewForm').addEventListener('submit', saveCurrentView);
+    document.getElementById('closeSavedViewsModal').addEventListener('click', closeSavedViewsModal);
+    document.getElementById('closeSavedViewsModalBtn').addEventListener('click', closeSavedViewsModal);
+    document.getElementById('exportSavedViews').addEventListener('click', () => exportSavedViews());
+    document.getElementById('importSavedViews').addEventListener('click', () => {
+        document.getElementById('savedViewsFileInput').click();
+    });
+    document.getElementById('savedViewsFileInput').addEventListener('change', importSavedViews);
+    
+    // Browser back/forward
+    window.addEventListener('popstate', applyUrlState);
+}
+
+/**
+ * Rendered markup never carries inline handlers. Elements declare a
+ * data-action instead and reference records by id or name, so uploaded
+ * values only ever appear in escaped text and attributes.
+ */
+const ClickActions = {
+    'show-person': el => showPersonDetails(el.dataset.personId),
+    'show-entity': el => showEntityDetails(el.dataset.type, el.dataset.name),
+    'toggle-org-node': el => toggleOrgNode(el.dataset.key),
+    'change-page': el => changePage(Number(el.dataset.page)),
+    'clean-import': () => cleanPendingImport(),
+    'recheck-import': () => recheckPendingImport(),
+    'import-valid-rows': () => importValidRows(),
+    'select-all-diff': el => selectAllDiffChanges(el.dataset.selected === 'true'),
+    'apply-import': () => applyPendingImport(),
+    'select-import-sheet': el => selectImportSheet(Number(el.dataset.index)),
+    'review-skipped-rows': () => reviewSkippedRows(),
+    'add-mapping-source': el => addMappingSource(el.dataset.field),
+    'remove-mapping-source': el => removeMappingSource(el.dataset.field, Number(el.dataset.slot)),
+    'reset-column-mapping': () => resetColumnMapping(),
+    'apply-column-mapping': () => submitColumnMapping(),
+    'edit-column-mapping': () => renderColumnMapping(),
+    'compare-versions': () => compareHistoryVersions(),
+    'restore-version': el => restoreHistoryVersion(Number(el.dataset.versionId)),
+    'set-facet-mode': el => setFacetMode(el.dataset.facet, el.dataset.mode),
+    'clear-facet': el => clearFacet(el.dataset.facet),
+    'apply-saved-view': el => applySavedView(el.dataset.name),
+    'share-saved-view': el => shareSavedView(el.dataset.name),
+    'delete-saved-view': el => deleteSavedView(el.dataset.name),
+    'export-chart': el => exportChart(el.dataset.chart, el.dataset.format),
+    'remove-risk-leaver': el => removeRiskLeaver(el.dataset.key),
+    'sort-matrix': el => sortMatrixBy(el.dataset.name),
+    'accept-alias-suggestion': el => acceptAliasSuggestion(Number(el.dataset.index)),
+    'delete-alias': el => deleteAlias(el.dataset.type, el.dataset.name)
+};
+
+const ChangeActions = {
+    'toggle-skip-row': el => toggleSkipRow(Number(el.dataset.index), el.checked),
+    'update-pending-field': el => updatePendingField(Number(el.dataset.index), el.dataset.field, el.value),
+    'toggle-diff-change': el => toggleDiffChange(el.dataset.changeId, el.checked),
+    'set-mapping-source': el => setMappingSource(el.dataset.field, Number(el.dataset.slot), el.value),
+    'set-column-split': el => setColumnSplit(Number(el.dataset.column), el.value),
+    'set-mapping-delimiter': el => setMappingDelimiter(el.value),
+    'toggle-facet-value': el => toggleFacetValue(el.dataset.facet, el.value, el.checked),
+    'toggle-saved-view-pin': el => toggleSavedViewPin(el.dataset.name, el.checked),
+    'toggle-network-type': el => toggleNetworkType(el.value, el.checked),
+    'add-risk-leaver': el => addRiskLeaver(el.value)
+};
+
+function initializeDelegatedActions() {
+    const dispatch = actions => (e) => {
+        const target = e.target.closest('[data-action]');
+        if (!target || target.disabled) return;
+        const action = actions[target.dataset.action];
+        if (action) {
+            action(target);
+        }
+    };
+    
+    document.addEventListener('click', dispatch(ClickActions));
+    document.addEventListener('change', dispatch(ChangeActions));
 }
 
 // ================================
@@ -251,9 +473,14 @@ function loadSavedData() {
             const data = JSON.parse(saved);
             if (data.rawData && data.rawData.length > 0) {
                 AppState.csvHeaders = data.csvHeaders || [];
+                AppState.aliases = normalizeAliases(data.aliases);
+                AppState.entityMetadata = data.entityMetadata || {};
+                AppState.dataAccess = data.dataAccess || null;
+                canonicalizeEntities(data.rawData);
                 AppState.rawData = data.rawData;
                 AppState.filteredData = data.rawData;
                 AppState.hasData = true;
+                AppState.activeVersion = data.version || null;
                 
                 // Extract unique values for filters
                 extractUniqueValues(data.rawData);
@@ -270,7 +497,16 @@ function loadSavedData() {
     return false;
 }
 
-function loadCSVData(data) {
+/**
+ * Replaces the current dataset and saves it. A new history version is
+ * recorded under `source` unless `version` (an existing history entry being
+ * restored) is given.
+ */
+function loadCSVData(data, source = 'Unknown source', version = null) {
+    // Merge tag variants through the alias registry
+    canonicalizeEntities(data);
+    
+    AppState.loadReport = null;
     AppState.rawData = data;
     AppState.filteredData = data;
     AppState.hasData = true;
@@ -281,16 +517,19 @@ function loadCSVData(data) {
     // Populate filters
     populateFilters();
     
-    // Save to localStorage
-    saveToLocalStorage();
+    // Save to localStorage and history
+    saveToLocalStorage(source, version);
     
-    // Update display
+    // Warn about broken reporting lines
+    reportHierarchyIssues();
+    
+    // Update display; the kept search and facet selections apply to the new data
     updateStatistics();
-    renderCurrentView();
+    applyFilters({ replaceUrl: true });
 }
 
 // ================================
-// CSV FILE HANDLING
+// IMPORT FILE HANDLING
 // ================================
 function handleDragOver(e) {
     e.preventDefault();
@@ -310,941 +549,7016 @@ function handleDrop(e) {
     e.currentTarget.classList.remove('drag-over');
     
     const files = e.dataTransfer.files;
-    if (files.length > 0 && files[0].type === 'text/csv') {
-        processCSVFile(files[0]);
-    } else {
-        showToast('Please drop a valid CSV file', 'error');
+    if (files.length > 0) {
+        processImportFile(files[0]);
     }
 }
 
 function handleFileSelect(e) {
     const file = e.target.files[0];
-    if (file && file.type === 'text/csv') {
-        processCSVFile(file);
-    } else if (file) {
-        showToast('Please select a valid CSV file', 'error');
+    if (file) {
+        processImportFile(file);
     }
 }
 
-function processCSVFile(file) {
-    showLoadingSpinner(true);
-    
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const csvData = parseCSV(e.target.result);
-            if (validateCSVData(csvData)) {
-                loadCSVData(csvData);
-                showToast('Data updated successfully', 'success');
-                updateDataInfoBar(`Data loaded: ${csvData.length} personnel from ${file.name}`);
-                hideImportSection();
-            }
-        } catch (error) {
-            showToast('Error processing CSV file: ' + error.message, 'error');
-        } finally {
-            showLoadingSpinner(false);
-        }
-    };
-    reader.readAsText(file);
-}
+const IMPORT_EXTENSIONS = { csv: 'csv', tsv: 'csv', txt: 'csv', xlsx: 'xlsx', xlsm: 'xlsx', json: 'json' };
 
-// ================================
-// CSV PARSING
-// ================================
-function parseCSV(csvText) {
-    const lines = csvText.split('\n').filter(line => line.trim());
-    if (lines.length < 2) {
-        throw new Error('CSV file must contain headers and at least one data row');
-    }
-    
-    const headers = parseCSVLine(lines[0]);
-    AppState.csvHeaders = headers;
+/**
+ * Works out whether a file is CSV, .xlsx or JSON. Browsers report these
+ * types inconsistently (Windows often says "application/vnd.ms-excel" for
+ * CSV), so the first bytes decide, with the extension settling text files.
+ */
+async function detectImportFormat(file) {
+    const head = new Uint8Array(await file.slice(0, 512).arrayBuffer());
+    const extension = ((file.name || '').match(/\.([^.]+)$/) || [])[1];
+    const byExtension = extension ? IMPORT_EXTENSIONS[extension.toLowerCase()] : undefined;
     
-    const data = [];
-    for (let i = 1; i < lines.length; i++) {
-        const values = parseCSVLine(lines[i]);
-        const row = {};
-        headers.forEach((header, index) => {
-            row[header.toLowerCase().replace(/\s+/g, '_')] = values[index] || '';
-        });
-        data.push(row);
+    if (head[0] === 0x50 && head[1] === 0x4B && head[2] === 0x03 && head[3] === 0x04) {
+        return 'xlsx';
+    }
+    if (head[0] === 0xD0 && head[1] === 0xCF && head[2] === 0x11 && head[3] === 0xE0) {
+        throw new Error('old .xls workbooks are not supported; save it as .xlsx');
+    }
+    // NUL bytes mean binary data, unless the text is UTF-16
+    if (head.includes(0) && !detectEncoding(head).startsWith('utf-16')) {
+        throw new Error('this is not a CSV, Excel or JSON file');
     }
     
-    return data;
+    if (byExtension === 'json') return 'json';
+    if (byExtension === 'csv') return 'csv';
+    return /^[[{]/.test(decodeCSVBytes(head).replace(/^\uFEFF/, '').trimStart()) ? 'json' : 'csv';
 }
 
-function parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
+/**
+ * Runs a parser that records its headers in AppState.csvHeaders, and
+ * returns { data, headers } with the current headers left in place until
+ * the import is committed.
+ */
+async function parseImportRows(parse) {
+    const currentHeaders = AppState.csvHeaders;
+    try {
+        const data = await parse();
+        return { data, headers: AppState.csvHeaders };
+    } finally {
+        AppState.csvHeaders = currentHeaders;
+    }
+}
+
+async function processImportFile(file) {
+    if (!requirePermission('upload')) return;
     
-    for (let i = 0; i < line.length; i++) {
-        const char = line[i];
-        const nextChar = line[i + 1];
-        
-        if (char === '"') {
-            if (inQuotes && nextChar === '"') {
-                current += '"';
-                i++;
+    showLoadingSpinner(true);
+    
+    try {
+        const format = await detectImportFormat(file);
+        if (format === 'xlsx') {
+            const sheets = (await readXlsxWorkbook(await file.arrayBuffer())).filter(sheet => sheet.records.length > 0);
+            if (sheets.length === 0) {
+                throw new Error('the workbook has no sheets with data');
+            }
+            AppState.pendingWorkbook = { fileName: file.name, sheets };
+            if (sheets.length === 1) {
+                await selectImportSheet(0);
             } else {
-                inQuotes = !inQuotes;
+                renderSheetPicker();
             }
-        } else if (char === ',' && !inQuotes) {
-            result.push(current.trim());
-            current = '';
-        } else {
-            current += char;
+            return;
         }
+        
+        const records = format === 'json' ? 
+            readJSONRecords(decodeCSVBytes(await file.arrayBuffer())) : await readCSVFileRecords(file);
+        await startColumnMapping(records, file.name);
+    } catch (error) {
+        showToast(`Error reading ${file.name}: ${error.message}`, 'error');
+    } finally {
+        showLoadingSpinner(false);
     }
-    
-    result.push(current.trim());
-    return result;
 }
 
-function validateCSVData(data) {
-    if (!data || data.length === 0) {
-        throw new Error('No data found in CSV file');
-    }
+function renderSheetPicker() {
+    const { fileName, sheets } = AppState.pendingWorkbook;
+    const container = document.getElementById('validationReport');
     
-    // Check for required columns
-    const requiredColumns = ['name', 'email', 'role', 'team'];
-    const headers = Object.keys(data[0]);
+    container.innerHTML = `
+        <div class="validation-summary">
+            <div>
+                <h3>Choose a sheet from ${escapeHtml(fileName)}</h3>
+                <p>${sheets.length} sheets contain data. The first row of the sheet must hold the column names.</p>
+            </div>
+        </div>
+        <div class="sheet-list">
+            ${sheets.map((sheet, index) => `
+                <button class="sheet-option" data-action="select-import-sheet" data-index="${index}">
+                    <i class="fas fa-table"></i>
+                    <span>
+                        <strong>${escapeHtml(sheet.name)}</strong>${sheet.hidden ? ' <small>(hidden)</small>' : ''}
+                        <br><small>${sheet.records.length - 1} rows • ${escapeHtml(sheet.records[0].filter(Boolean).slice(0, 5).join(', '))}</small>
+                    </span>
+                </button>
+            `).join('')}
+        </div>
+    `;
     
-    for (const column of requiredColumns) {
-        if (!headers.includes(column)) {
-            throw new Error(`Required column "${column}" not found in CSV`);
-        }
+    document.getElementById('csvUploadArea').style.display = 'none';
+    container.style.display = 'block';
+}
+
+async function selectImportSheet(index) {
+    const { fileName, sheets } = AppState.pendingWorkbook;
+    const sheet = sheets[index];
+    try {
+        await startColumnMapping(sheet.records, sheets.length > 1 ? `${fileName} (${sheet.name})` : fileName);
+    } catch (error) {
+        showToast(`Error reading sheet ${sheet.name}: ${error.message}`, 'error');
     }
+}
+
+/**
+ * Validates uploaded rows as they are in the file, so spelling variants of
+ * tags are still there to be reported. Aliases are applied once the rows
+ * have passed review, in previewPendingImport.
+ */
+function startPendingImport(data, headers, fileName) {
+    AppState.pendingImport = {
+        data,
+        headers,
+        fileName,
+        skipped: new Set(),
+        aliases: {},
+        report: null
+    };
     
-    // Validate each row has required data
-    data.forEach((row, index) => {
-        if (!row.name || !row.email || !row.role || !row.team) {
-            throw new Error(`Row ${index + 2} is missing required data`);
-        }
+    const report = revalidatePendingImport();
+    if (report.errorCount === 0 && report.warningCount === 0) {
+        previewPendingImport(data);
+    } else {
+        renderValidationReport();
+    }
+}
+
+function commitPendingImport(rows, headers, message = 'Data updated successfully') {
+    const { fileName, aliases } = AppState.pendingImport;
+    AppState.csvHeaders = headers;
+    Object.entries(aliases).forEach(([type, entries]) => {
+        Object.entries(entries).forEach(([variant, canonical]) => addAliases(AppState.aliases, type, [variant], canonical));
     });
-    
-    return true;
+    loadCSVData(rows, fileName);
+    showToast(message, 'success');
+    updateDataInfoBar(`Data loaded: ${rows.length} personnel from ${fileName}`);
+    hideImportSection();
 }
 
 // ================================
-// DATA EXTRACTION
+// CSV PARSING (RFC 4180)
 // ================================
-function extractUniqueValues(data) {
-    AppState.teams.clear();
-    AppState.institutions.clear();
-    AppState.projects.clear();
-    AppState.dataSources.clear();
-    AppState.services.clear();
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+function createCSVError(message, line, column) {
+    const position = column ? `line ${line}, column ${column}` : `line ${line}`;
+    const error = new Error(`${message} (${position})`);
+    error.line = line;
+    error.column = column;
+    return error;
+}
+
+/**
+ * Incremental CSV tokenizer. Feed text with push() as it arrives and call
+ * end() to flush; returns an array of records (arrays of strings), each
+ * carrying the line it started on as `record.line`.
+ * Handles quoted fields with embedded delimiters, quotes and newlines,
+ * CRLF/LF/CR line endings and a leading BOM. The delimiter is sniffed from
+ * the header row unless options.delimiter is given.
+ */
+function createCSVParser(options = {}) {
+    let delimiter = options.delimiter || null;
+    let pending = '';        // Text buffered until the delimiter is known
+    let started = false;     // Whether the first character has been seen (BOM check)
     
-    data.forEach(person => {
-        // Teams (semicolon-separated)
-        if (person.team) {
-            person.team.split(';').forEach(team => {
-                AppState.teams.add(team.trim());
-            });
+    const records = [];
+    let record = [];
+    let field = '';
+    let state = 'fieldStart'; // fieldStart | unquoted | quoted | quoteInQuoted | afterQuoted
+    let line = 1;
+    let column = 0;
+    let recordLine = 1;
+    let quoteLine = 1;
+    let quoteColumn = 0;
+    let sawCR = false;
+    
+    function endField() {
+        record.push(field);
+        field = '';
+        state = 'fieldStart';
+    }
+    
+    function endRecord() {
+        endField();
+        // Skip blank lines
+        if (!(record.length === 1 && record[0] === '')) {
+            record.line = recordLine;
+            records.push(record);
         }
-        
-        // Institutions
-        if (person.institution) {
-            AppState.institutions.add(person.institution.trim());
+        record = [];
+    }
+    
+    function consume(char) {
+        // \r\n counts as a single line break
+        if (sawCR) {
+            sawCR = false;
+            if (char === '\n') return;
         }
         
-        // Projects (semicolon-separated)
-        if (person.projects) {
-            person.projects.split(';').forEach(project => {
-                AppState.projects.add(project.trim());
-            });
+        column++;
+        const isNewline = char === '\r' || char === '\n';
+        
+        switch (state) {
+            case 'fieldStart':
+                if (char === '"') {
+                    state = 'quoted';
+                    quoteLine = line;
+                    quoteColumn = column;
+                } else if (char === delimiter) {
+                    endField();
+                } else if (isNewline) {
+                    endRecord();
+                } else {
+                    field += char;
+                    state = 'unquoted';
+                }
+                break;
+            
+            case 'unquoted':
+                if (char === delimiter) {
+                    endField();
+                } else if (isNewline) {
+                    endRecord();
+                } else if (char === '"') {
+                    throw createCSVError('Unexpected quote in unquoted field', line, column);
+                } else {
+                    field += char;
+                }
+                break;
+            
+            case 'quoted':
+                if (char === '"') {
+                    state = 'quoteInQuoted';
+                } else {
+                    // Embedded line breaks are normalized to \n
+                    field += char === '\r' ? '\n' : char;
+                }
+                break;
+            
+            case 'quoteInQuoted':
+            case 'afterQuoted':
+                if (char === '"' && state === 'quoteInQuoted') {
+                    field += '"';
+                    state = 'quoted';
+                } else if (char === delimiter) {
+                    endField();
+                } else if (isNewline) {
+                    endRecord();
+                } else if (char === ' ' || char === '\t') {
+                    state = 'afterQuoted';
+                } else {
+                    throw createCSVError('Unexpected character after closing quote', line, column);
+                }
+                break;
         }
         
-        // Data Sources (semicolon-separated)
-        if (person.data_sources) {
-            person.data_sources.split(';').forEach(source => {
-                AppState.dataSources.add(source.trim());
-            });
+        if (isNewline) {
+            sawCR = char === '\r';
+            line++;
+            column = 0;
+            if (state === 'fieldStart' && record.length === 0) {
+                recordLine = line;
+            }
+        }
+    }
+    
+    function feed(text) {
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (!started) {
+                started = true;
+                if (char === '\uFEFF') continue;
+            }
+            consume(char);
         }
+    }
+    
+    return {
+        push(chunk) {
+            if (delimiter) {
+                feed(chunk);
+                return;
+            }
+            // Wait for the complete header row before choosing a delimiter
+            pending += chunk;
+            const headerEnd = findHeaderEnd(pending);
+            if (headerEnd !== -1) {
+                delimiter = detectDelimiter(pending.slice(0, headerEnd));
+                feed(pending);
+                pending = '';
+            }
+        },
         
-        // Services (semicolon-separated)
-        if (person.services) {
-            person.services.split(';').forEach(service => {
-                AppState.services.add(service.trim());
-            });
+        end() {
+            if (!delimiter) {
+                delimiter = detectDelimiter(pending);
+                feed(pending);
+                pending = '';
+            }
+            if (state === 'quoted') {
+                throw createCSVError('Unterminated quoted field', quoteLine, quoteColumn);
+            }
+            if (state !== 'fieldStart' || record.length > 0) {
+                endRecord();
+            }
+            return records;
+        },
+        
+        get delimiter() {
+            return delimiter;
         }
-    });
+    };
 }
 
-// ================================
-// UI UPDATES
-// ================================
-function showDashboard() {
-    document.getElementById('mainDashboard').style.display = 'block';
-    const importSection = document.getElementById('dataImportSection');
-    if (importSection) {
-        importSection.style.display = 'none';
+function findHeaderEnd(text) {
+    let inQuotes = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            return i;
+        }
     }
+    return -1;
 }
 
-function showImportSection() {
-    document.getElementById('dataImportSection').style.display = 'block';
-    document.getElementById('mainDashboard').style.display = 'none';
+function detectDelimiter(headerLine) {
+    const counts = CSV_DELIMITERS.map(candidate => {
+        let count = 0;
+        let inQuotes = false;
+        for (const char of headerLine) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (char === candidate && !inQuotes) {
+                count++;
+            }
+        }
+        return count;
+    });
+    
+    const best = counts.indexOf(Math.max(...counts));
+    return counts[best] > 0 ? CSV_DELIMITERS[best] : ',';
 }
 
-function hideImportSection() {
-    document.getElementById('dataImportSection').style.display = 'none';
-    document.getElementById('mainDashboard').style.display = 'block';
+function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/\s+/g, '_');
 }
 
-function updateDataInfoBar(message) {
-    const dataInfoText = document.getElementById('dataInfoText');
-    if (dataInfoText) {
-        dataInfoText.textContent = message;
+function recordsToRows(records) {
+    if (records.length < 2) {
+        throw new Error('CSV file must contain headers and at least one data row');
+    }
+    
+    const headers = records[0].map(header => header.trim());
+    AppState.csvHeaders = headers;
+    const keys = headers.map(normalizeHeader);
+    
+    const data = [];
+    for (let i = 1; i < records.length; i++) {
+        const values = records[i];
+        
+        // Trailing empty cells are common in spreadsheet exports; anything else is an error
+        if (values.slice(keys.length).some(value => value.trim())) {
+            throw createCSVError(`Row has ${values.length} fields but the header has ${keys.length}`, values.line);
+        }
+        
+        const row = {};
+        keys.forEach((key, index) => {
+            row[key] = (values[index] || '').trim();
+        });
+        // Non-enumerable so it never reaches localStorage or exports
+        Object.defineProperty(row, 'sourceLine', { value: values.line });
+        data.push(row);
     }
+    
+    return data;
 }
 
-function updateStatistics() {
-    // Basic counts
-    document.getElementById('totalPersonnel').textContent = AppState.rawData.length;
-    document.getElementById('totalTeams').textContent = AppState.teams.size;
-    document.getElementById('totalInstitutions').textContent = AppState.institutions.size;
-    document.getElementById('totalProjects').textContent = AppState.projects.size;
-    document.getElementById('totalDataSources').textContent = AppState.dataSources.size;
-    document.getElementById('totalServices').textContent = AppState.services.size;
+function parseCSV(csvText, options = {}) {
+    const parser = createCSVParser(options);
+    parser.push(csvText);
+    return recordsToRows(parser.end());
 }
 
 // ================================
-// VIEW MANAGEMENT
+// CSV ENCODING
 // ================================
-function switchView(view) {
-    AppState.currentView = view;
-    
-    // Update tab active states
-    document.querySelectorAll('.tab-btn').forEach(btn => {
-        btn.classList.toggle('active', btn.dataset.view === view);
-    });
-    
-    // Update view content
-    document.querySelectorAll('.view-content').forEach(content => {
-        content.classList.remove('active');
-    });
-    
-    // Map view names to element IDs
-    const viewMap = {
-        'data-sources': 'dataSourcesView'
-    };
-    
-    const viewElementId = viewMap[view] || `${view}View`;
-    const viewElement = document.getElementById(viewElementId);
+function detectEncoding(bytes) {
+    if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+    if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+    if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+    return 'utf-8';
+}
+
+function decodeCSVBytes(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const encoding = detectEncoding(bytes);
+    try {
+        return new TextDecoder(encoding, { fatal: true }).decode(bytes);
+    } catch (error) {
+        // Not valid UTF-8: fall back to the Windows code page Excel uses for plain "CSV" saves
+        return new TextDecoder('windows-1252').decode(bytes);
+    }
+}
+
+async function parseCSVStream(stream, encoding, options = {}) {
+    const decoder = new TextDecoder(encoding, { fatal: true });
+    const parser = createCSVParser(options);
+    const reader = stream.getReader();
     
-    if (viewElement) {
-        viewElement.classList.add('active');
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        parser.push(decoder.decode(value, { stream: true }));
     }
+    parser.push(decoder.decode());
     
-    renderCurrentView();
+    return parser.end();
 }
 
-function renderCurrentView() {
-    if (!AppState.hasData) {
-        return;
+async function readCSVFileRecords(file, options = {}) {
+    if (!file.stream) {
+        const parser = createCSVParser(options);
+        parser.push(decodeCSVBytes(await file.arrayBuffer()));
+        return parser.end();
     }
     
-    switch (AppState.currentView) {
-        case 'grid':
-            renderGridView();
-            break;
-        case 'table':
-            renderTableView();
-            break;
-        case 'teams':
-            renderTeamsView();
-            break;
-        case 'projects':
-            renderProjectsView();
-            break;
-        case 'data-sources':
-            renderDataSourcesView();
-            break;
-        case 'services':
-            renderServicesView();
-            break;
+    const encoding = detectEncoding(new Uint8Array(await file.slice(0, 3).arrayBuffer()));
+    let records;
+    try {
+        records = await parseCSVStream(file.stream(), encoding, options);
+    } catch (error) {
+        // TextDecoder throws a TypeError on invalid UTF-8; retry as Windows-1252
+        if (error.name !== 'TypeError' || encoding !== 'utf-8') {
+            throw error;
+        }
+        records = await parseCSVStream(file.stream(), 'windows-1252', options);
     }
+    return records;
 }
 
 // ================================
-// GRID VIEW
+// XLSX IMPORT
 // ================================
-function renderGridView() {
-    const container = document.getElementById('personnelGrid');
-    const data = AppState.filteredData;
+/**
+ * Reads .xlsx workbooks without a library. The ZIP container is walked by
+ * hand, compressed parts are inflated with DecompressionStream and the
+ * sheet XML is read with DOMParser. Each sheet becomes records shaped like
+ * the CSV parser's, with `line` holding the Excel row number.
+ */
+const XLSX_REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+// Built-in number formats that display dates
+const XLSX_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+function readZipEntries(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
     
-    if (data.length === 0) {
-        container.innerHTML = '<p style="text-align: center; color: var(--gray-500);">No personnel data to display</p>';
-        return;
+    // The end of central directory record is at the end, after an optional comment of up to 64 KB
+    let end = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+        if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+        }
+    }
+    if (end < 0) {
+        throw new Error('the file is not a valid .xlsx workbook');
     }
     
-    container.innerHTML = data.map(person => {
-        const initials = getInitials(person.name);
-        const teams = person.team ? person.team.split(';').map(t => t.trim()) : [];
-        const projects = person.projects ? person.projects.split(';').map(p => p.trim()) : [];
-        const dataSources = person.data_sources ? person.data_sources.split(';').map(d => d.trim()) : [];
-        const status = person.status || 'active';
-        
-        return `
-            <div class="person-card" onclick="showPersonDetails(${JSON.stringify(person).replace(/"/g, '&quot;')})">
-                <div class="person-header">
-                    <div class="person-avatar">${initials}</div>
-                    <div class="person-info">
-                        <h3>${person.name}</h3>
-                        <p>${person.role}</p>
-                    </div>
-                </div>
-                <div class="person-details">
-                    <div class="detail-row">
-                        <span class="detail-label">Email:</span>
-                        <span class="detail-value">${person.email}</span>
-                    </div>
-                    <div class="detail-row">
-                        <span class="detail-label">Team:</span>
-                        <span class="detail-value">
-                            ${teams.map(t => `<span class="tag tag-team">${t}</span>`).join('')}
-                        </span>
-                    </div>
-                    ${person.institution ? `
-                        <div class="detail-row">
-                            <span class="detail-label">Institution:</span>
-                            <span class="detail-value">${person.institution}</span>
-                        </div>
-                    ` : ''}
-                    <div class="detail-row">
-                        <span class="detail-label">Projects:</span>
-                        <span class="detail-value">
-                            ${projects.length > 0 ? projects.slice(0, 2).map(p => `<span class="tag tag-project">${p}</span>`).join('') : '<span style="color: var(--gray-400);">None</span>'}
-                            ${projects.length > 2 ? `<span class="tag tag-more">+${projects.length - 2} more</span>` : ''}
-                        </span>
-                    </div>
-                    <div class="detail-row">
-                        <span class="detail-label">Data Sources:</span>
-                        <span class="detail-value">
-                            ${dataSources.length > 0 ? dataSources.slice(0, 2).map(d => `<span class="tag tag-data">${d}</span>`).join('') : '<span style="color: var(--gray-400);">None</span>'}
-                            ${dataSources.length > 2 ? `<span class="tag tag-more">+${dataSources.length - 2} more</span>` : ''}
-                        </span>
-                    </div>
-                    <div class="detail-row">
-                        <span class="detail-label">Status:</span>
-                        <span class="detail-value">
-                            <span class="status-badge ${status}">${status}</span>
-                        </span>
-                    </div>
-                </div>
-            </div>
-        `;
-    }).join('');
+    const entries = new Map();
+    const decoder = new TextDecoder();
+    let offset = view.getUint32(end + 16, true);
+    for (let i = 0; i < view.getUint16(end + 10, true); i++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('the workbook is damaged');
+        }
+        const nameLength = view.getUint16(offset + 28, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        // The local header has its own name and extra field lengths
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        entries.set(decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)), {
+            method: view.getUint16(offset + 10, true),
+            data: bytes.subarray(dataStart, dataStart + view.getUint32(offset + 20, true))
+        });
+        offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return entries;
 }
 
-// ================================
-// TABLE VIEW
-// ================================
-function renderTableView() {
-    const tbody = document.getElementById('personnelTableBody');
-    const data = paginateData(AppState.filteredData);
+async function inflateRaw(data) {
+    const stream = new DecompressionStream('deflate-raw');
+    const writer = stream.writable.getWriter();
+    // Errors surface on the reading side
+    writer.write(data).catch(() => {});
+    writer.close().catch(() => {});
     
-    if (data.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="10" style="text-align: center; color: var(--gray-500);">No personnel data to display</td></tr>';
-        renderPagination();
-        return;
+    const chunks = [];
+    const reader = stream.readable.getReader();
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
     }
     
-    tbody.innerHTML = data.map(person => {
-        const teams = person.team ? person.team.split(';').map(t => `<span class="tag tag-team">${t.trim()}</span>`).join('') : '-';
-        const projects = person.projects ? person.projects.split(';').map(p => `<span class="tag tag-project">${p.trim()}</span>`).join('') : '-';
-        const dataSources = person.data_sources ? person.data_sources.split(';').map(d => `<span class="tag tag-data">${d.trim()}</span>`).join('') : '-';
-        const services = person.services ? person.services.split(';').map(s => `<span class="tag tag-service">${s.trim()}</span>`).join('') : '-';
-        const status = person.status || 'active';
-        
-        return `
-            <tr>
-                <td><strong>${person.name}</strong></td>
-                <td>${person.email}</td>
-                <td>${person.role}</td>
-                <td>${teams}</td>
-                <td>${person.institution || '-'}</td>
-                <td>${projects}</td>
-                <td>${dataSources}</td>
-                <td>${services}</td>
-                <td><span class="status-badge ${status}">${status}</span></td>
-                <td>
-                    <button class="btn-icon" onclick='showPersonDetails(${JSON.stringify(person).replace(/'/g, "&apos;")})' title="View Details">
-                        <i class="fas fa-eye"></i>
-                    </button>
-                </td>
-            </tr>
-        `;
-    }).join('');
-    
-    renderPagination();
-    
-    // Add sort functionality to headers
-    document.querySelectorAll('.data-table th[data-sort]').forEach(th => {
-        th.style.cursor = 'pointer';
-        th.onclick = () => sortTable(th.dataset.sort);
+    const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, position);
+        position += chunk.length;
     });
+    return result;
 }
 
-function paginateData(data) {
-    const start = (AppState.currentPage - 1) * AppState.itemsPerPage;
-    const end = start + AppState.itemsPerPage;
-    return data.slice(start, end);
-}
-
-function renderPagination() {
-    const container = document.getElementById('pagination');
-    const totalPages = Math.ceil(AppState.filteredData.length / AppState.itemsPerPage);
-    
-    if (totalPages <= 1) {
-        container.innerHTML = '';
-        return;
+async function readZipXml(entries, name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (entry.method !== 0 && entry.method !== 8) {
+        throw new Error(`${name} uses an unsupported compression method`);
     }
     
-    let html = `
-        <button class="page-btn" onclick="changePage(${AppState.currentPage - 1})" 
-                ${AppState.currentPage === 1 ? 'disabled' : ''}>
-            <i class="fas fa-chevron-left"></i>
-        </button>
-    `;
-    
-    // Smart pagination
-    const maxButtons = 5;
-    let startPage = Math.max(1, AppState.currentPage - 2);
-    let endPage = Math.min(totalPages, startPage + maxButtons - 1);
-    
-    if (endPage - startPage < maxButtons - 1) {
-        startPage = Math.max(1, endPage - maxButtons + 1);
+    const bytes = entry.method === 8 ? await inflateRaw(entry.data) : entry.data;
+    const doc = new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`${name} is not valid XML`);
     }
+    return doc;
+}
+
+function getXmlElements(node, localName) {
+    return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+function getXlsxText(node) {
+    // Rich text has one <t> per run; phonetic guides (<rPh>) are not part of the value
+    return getXmlElements(node, 't')
+        .filter(t => t.parentNode.localName !== 'rPh')
+        .map(t => t.textContent)
+        .join('');
+}
+
+function getXlsxColumnIndex(ref) {
+    const letters = ref.replace(/[^A-Z]/gi, '').toUpperCase();
+    return Array.from(letters).reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+function formatXlsxDate(serial, date1904) {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const iso = new Date(epoch + Math.round(serial * 86400) * 1000).toISOString();
+    return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+}
+
+async function readXlsxDateStyles(entries) {
+    const doc = await readZipXml(entries, 'xl/styles.xml');
+    const styles = new Set();
+    if (!doc) return styles;
     
-    if (startPage > 1) {
-        html += `<button class="page-btn" onclick="changePage(1)">1</button>`;
-        if (startPage > 2) html += `<span>...</span>`;
-    }
+    const custom = new Map(getXmlElements(doc, 'numFmt').map(format => 
+        [Number(format.getAttribute('numFmtId')), format.getAttribute('formatCode') || '']
+    ));
+    // A custom format is a date if it shows days or years outside quoted text and [colour] tags
+    const isDate = id => XLSX_DATE_FORMATS.has(id) || 
+        (custom.has(id) && /[dy]/i.test(custom.get(id).replace(/"[^"]*"|\[[^\]]*\]|\\./g, '')));
     
-    for (let i = startPage; i <= endPage; i++) {
-        html += `
-            <button class="page-btn ${i === AppState.currentPage ? 'active' : ''}" 
-                    onclick="changePage(${i})">${i}</button>
-        `;
+    const cellFormats = getXmlElements(doc, 'cellXfs')[0];
+    if (cellFormats) {
+        Array.from(cellFormats.children).forEach((format, index) => {
+            if (isDate(Number(format.getAttribute('numFmtId')))) {
+                styles.add(index);
+            }
+        });
     }
+    return styles;
+}
+
+function getXlsxCellValue(cell, context) {
+    const valueNode = getXmlElements(cell, 'v')[0];
+    const raw = valueNode ? valueNode.textContent : '';
     
-    if (endPage < totalPages) {
-        if (endPage < totalPages - 1) html += `<span>...</span>`;
-        html += `<button class="page-btn" onclick="changePage(${totalPages})">${totalPages}</button>`;
+    switch (cell.getAttribute('t')) {
+        case 's':
+            return context.sharedStrings[Number(raw)] || '';
+        case 'inlineStr':
+            return getXlsxText(cell);
+        case 'b':
+            return raw === '1' ? 'TRUE' : 'FALSE';
+        case 'str':
+        case 'e':
+        case 'd':
+            return raw;
+        default:
+            if (raw !== '' && context.dateStyles.has(Number(cell.getAttribute('s')))) {
+                return formatXlsxDate(Number(raw), context.date1904);
+            }
+            return raw;
     }
-    
-    html += `
-        <button class="page-btn" onclick="changePage(${AppState.currentPage + 1})" 
-                ${AppState.currentPage === totalPages ? 'disabled' : ''}>
-            <i class="fas fa-chevron-right"></i>
-        </button>
-    `;
-    
-    container.innerHTML = html;
 }
 
-function changePage(page) {
-    const totalPages = Math.ceil(AppState.filteredData.length / AppState.itemsPerPage);
-    if (page < 1 || page > totalPages) return;
+function readXlsxRecords(doc, context) {
+    const records = [];
+    let line = 0;
     
-    AppState.currentPage = page;
-    renderTableView();
+    getXmlElements(doc, 'row').forEach(row => {
+        line = Number(row.getAttribute('r')) || line + 1;
+        const values = [];
+        let column = 0;
+        getXmlElements(row, 'c').forEach(cell => {
+            const ref = cell.getAttribute('r');
+            column = ref ? getXlsxColumnIndex(ref) : column;
+            values[column] = getXlsxCellValue(cell, context);
+            column++;
+        });
+        
+        // Blank rows carry no data, as in the CSV parser
+        const record = Array.from(values, value => value || '');
+        if (record.some(value => value.trim())) {
+            record.line = line;
+            records.push(record);
+        }
+    });
+    
+    return records;
 }
 
-// ================================
-// TEAMS VIEW
-// ================================
-function renderTeamsView() {
-    const container = document.getElementById('teamsGrid');
-    
-    if (AppState.teams.size === 0) {
-        container.innerHTML = '<p style="grid-column: 1/-1; text-align: center; color: var(--gray-500);">No teams found</p>';
-        return;
+/**
+ * Lists the worksheets of an .xlsx file as { name, hidden, records }.
+ * Chart sheets and sheets that can't be found are left out.
+ */
+async function readXlsxWorkbook(buffer) {
+    const entries = readZipEntries(buffer);
+    const workbook = await readZipXml(entries, 'xl/workbook.xml');
+    if (!workbook) {
+        throw new Error('the file is not an Excel workbook');
     }
     
-    const teamsData = [];
-    AppState.teams.forEach(teamName => {
-        const members = AppState.filteredData.filter(person => 
-            person.team && person.team.split(';').map(t => t.trim()).includes(teamName)
-        );
-        teamsData.push({ name: teamName, members });
-    });
-    
-    // Sort teams by member count
-    teamsData.sort((a, b) => b.members.length - a.members.length);
+    const relationships = await readZipXml(entries, 'xl/_rels/workbook.xml.rels');
+    const targets = new Map(relationships ? getXmlElements(relationships, 'Relationship').map(rel => 
+        [rel.getAttribute('Id'), rel.getAttribute('Target')]
+    ) : []);
+    const sharedStringsDoc = await readZipXml(entries, 'xl/sharedStrings.xml');
+    const context = {
+        sharedStrings: sharedStringsDoc ? getXmlElements(sharedStringsDoc, 'si').map(getXlsxText) : [],
+        dateStyles: await readXlsxDateStyles(entries),
+        date1904: getXmlElements(workbook, 'workbookPr').some(pr => ['1', 'true'].includes(pr.getAttribute('date1904')))
+    };
     
-    container.innerHTML = teamsData.map(team => `
-        <div class="team-card">
-            <div class="card-header">
-                <div class="card-icon">
-                    <i class="fas fa-users"></i>
-                </div>
-                <div>
-                    <div class="card-title">${team.name}</div>
-                    <div class="card-subtitle">${team.members.length} members</div>
-                </div>
-            </div>
-            <div class="member-list">
-                ${team.members.slice(0, 5).map(m => 
-                    `<span class="member-chip" onclick='showPersonDetails(${JSON.stringify(m).replace(/'/g, "&apos;")})'>${m.name}</span>`
-                ).join('')}
-                ${team.members.length > 5 ? `<span class="member-chip">+${team.members.length - 5} more</span>` : ''}
-            </div>
-        </div>
-    `).join('');
+    const sheets = [];
+    for (const sheet of getXmlElements(workbook, 'sheet')) {
+        const target = targets.get(sheet.getAttributeNS(XLSX_REL_NS, 'id') || sheet.getAttribute('r:id'));
+        if (!target) continue;
+        const path = target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+        const doc = await readZipXml(entries, path);
+        if (!doc || getXmlElements(doc, 'sheetData').length === 0) continue;
+        sheets.push({
+            name: sheet.getAttribute('name') || `Sheet ${sheets.length + 1}`,
+            hidden: ['hidden', 'veryHidden'].includes(sheet.getAttribute('state')),
+            records: readXlsxRecords(doc, context)
+        });
+    }
+    return sheets;
 }
 
 // ================================
-// PROJECTS VIEW
+// JSON IMPORT
 // ================================
-function renderProjectsView() {
-    const container = document.getElementById('projectsGrid');
-    
-    if (AppState.projects.size === 0) {
-        container.innerHTML = '<p style="grid-column: 1/-1; text-align: center; color: var(--gray-500);">No projects found</p>';
-        return;
+function formatJSONValue(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(formatJSONValue).join(';');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Reads the list of people written by Export JSON into CSV-style records.
+ * Keys become columns in order of first appearance and every value is kept
+ * as text, so exporting and importing again gives back the same records.
+ */
+function readJSONRecords(text) {
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`the JSON could not be read (${error.message})`);
+    }
+    if (!Array.isArray(data) || !data.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+        throw new Error('the JSON must be a list of people, as written by Export JSON');
+    }
+    if (data.length === 0) {
+        throw new Error('the JSON list is empty');
     }
     
-    const projectsData = [];
-    AppState.projects.forEach(projectName => {
-        const members = AppState.filteredData.filter(person => 
-            person.projects && person.projects.split(';').map(p => p.trim()).includes(projectName)
-        );
-        
-        // Count by institution
-        const institutionCount = {};
-        members.forEach(m => {
-            const inst = m.institution || 'Unknown';
-            institutionCount[inst] = (institutionCount[inst] || 0) + 1;
+    const headers = [];
+    data.forEach(item => {
+        Object.keys(item).forEach(key => {
+            if (!headers.includes(key)) headers.push(key);
         });
-        
-        projectsData.push({ name: projectName, members, institutionCount });
     });
     
-    // Sort projects by member count
-    projectsData.sort((a, b) => b.members.length - a.members.length);
-    
-    container.innerHTML = projectsData.map(project => `
-        <div class="project-card" onclick='showProjectDetails(${JSON.stringify(project).replace(/'/g, "&apos;")})'>
-            <div class="card-header">
-                <div class="card-icon">
-                    <i class="fas fa-project-diagram"></i>
-                </div>
-                <div>
-                    <div class="card-title">${project.name}</div>
-                    <div class="card-subtitle">${project.members.length} team members</div>
-                </div>
-            </div>
-            <div class="project-institutions">
-                ${Object.entries(project.institutionCount).map(([inst, count]) => 
-                    `<span class="inst-badge">${inst} (${count})</span>`
-                ).join('')}
-            </div>
-            <div class="member-list">
-                ${project.members.slice(0, 4).map(m => 
-                    `<span class="member-chip">${m.name}</span>`
-                ).join('')}
-                ${project.members.length > 4 ? `<span class="member-chip">+${project.members.length - 4} more</span>` : ''}
-            </div>
-        </div>
-    `).join('');
+    const records = data.map((item, index) => {
+        const record = headers.map(key => formatJSONValue(item[key]));
+        record.line = index + 1;
+        return record;
+    });
+    return [headers, ...records];
 }
 
 // ================================
-// DATA SOURCES VIEW
+// COLUMN MAPPING
 // ================================
-function renderDataSourcesView() {
-    const container = document.getElementById('dataSourcesGrid');
+// Uploads whose headers are not the app's field names are mapped by hand,
+// with suggestions, before validation. Mappings are remembered per file name.
+const COLUMN_MAPPINGS_KEY = 'orgChartColumnMappings';
+// Synonyms are written the way getMappingKey leaves headers: lower case,
+// punctuation as spaces. They only match a whole header.
+const IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', synonyms: ['full name', 'person', 'employee', 'display name', 'staff'] },
+    { key: 'email', label: 'Email', synonyms: ['e mail', 'email address', 'e mail address', 'work email'] },
+    { key: 'role', label: 'Role', synonyms: ['title', 'job title', 'position'] },
+    { key: 'team', label: 'Team', synonyms: ['group', 'department', 'unit', 'lab', 'division'] },
+    { key: 'institution', label: 'Institution', synonyms: ['organization', 'organisation', 'affiliation', 'university', 'employer', 'company'] },
+    { key: 'projects', label: 'Projects', synonyms: ['project', 'studies', 'study'] },
+    { key: 'data_sources', label: 'Data sources', synonyms: ['data source', 'datasets', 'dataset', 'databases'] },
+    { key: 'services', label: 'Services', synonyms: ['service', 'tools', 'software', 'platforms'] },
+    { key: 'status', label: 'Status', synonyms: ['employment status'] },
+    { key: 'reports_to', label: 'Reports to', synonyms: ['manager', 'manager email', 'supervisor', 'line manager'] }
+];
+const MULTI_VALUE_DELIMITERS = { ';': 'Semicolon (;)', ',': 'Comma (,)', '|': 'Pipe (|)', '/': 'Slash (/)' };
+const SPLIT_SEPARATORS = { ' ': 'Space', ',': 'Comma', ';': 'Semicolon', '-': 'Hyphen', '/': 'Slash', '|': 'Pipe' };
+const MAX_SPLIT_PARTS = 4;
+
+function isMultiValueField(field) {
+    const type = getEntityTypeByField(field);
+    return type ? ENTITY_TYPES[type].multiple : false;
+}
+
+function getMappingKey(text) {
+    return foldText(text).replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function getColumnSample(records, column) {
+    const record = records.slice(1).find(values => (values[column] || '').trim());
+    return record ? record[column].trim() : '';
+}
+
+/**
+ * Guesses which column holds each field: exact names and synonyms first,
+ * then First + Last name columns combined into name, then headers that
+ * contain a field's own name ("Primary Email") or are one typo away from a
+ * name or synonym. Each column is used for one field at most.
+ */
+function suggestColumnMapping(records) {
+    const columns = records[0].map(getMappingKey);
+    const fields = {};
+    const used = new Set();
+    const assign = (field, sources) => {
+        fields[field] = sources.map(column => ({ column, part: null }));
+        sources.forEach(column => used.add(column));
+    };
+    const namesOf = field => [field.key, field.label].map(getMappingKey);
+    const candidatesOf = field => [...namesOf(field), ...field.synonyms];
     
-    if (AppState.dataSources.size === 0) {
-        container.innerHTML = '<p style="grid-column: 1/-1; text-align: center; color: var(--gray-500);">No data sources found</p>';
-        return;
+    IMPORT_FIELDS.forEach(field => {
+        const candidates = candidatesOf(field);
+        const column = columns.findIndex((header, index) => !used.has(index) && candidates.includes(header));
+        if (column !== -1) assign(field.key, [column]);
+    });
+    
+    if (!fields.name) {
+        const first = columns.findIndex(header => /^(first|given|fore) ?name$|^first$/.test(header));
+        const last = columns.findIndex(header => /^(last|family|sur) ?name$|^last$/.test(header));
+        if (first !== -1 && last !== -1 && !used.has(first) && !used.has(last)) {
+            assign('name', [first, last]);
+        }
     }
     
-    const dataSourcesData = [];
-    AppState.dataSources.forEach(sourceName => {
-        const owners = AppState.filteredData.filter(person => 
-            person.data_sources && person.data_sources.split(';').map(d => d.trim()).includes(sourceName)
-        );
-        
-        // Categorize by role
-        const roleCount = {};
-        owners.forEach(o => {
-            roleCount[o.role] = (roleCount[o.role] || 0) + 1;
-        });
-        
-        dataSourcesData.push({ name: sourceName, owners, roleCount });
+    IMPORT_FIELDS.filter(field => !fields[field.key]).forEach(field => {
+        const names = namesOf(field);
+        const candidates = candidatesOf(field);
+        const column = columns.findIndex((header, index) => !used.has(index) && header && (
+            names.some(name => ` ${header} `.includes(` ${name} `)) || 
+            candidates.some(candidate => candidate.length >= 5 && editDistance(header, candidate) <= 1)
+        ));
+        if (column !== -1) assign(field.key, [column]);
     });
     
-    // Sort by owner count
-    dataSourcesData.sort((a, b) => b.owners.length - a.owners.length);
-    
-    container.innerHTML = dataSourcesData.map(dataSource => `
-        <div class="data-source-card" onclick='showDataSourceDetails(${JSON.stringify(dataSource).replace(/'/g, "&apos;")})'>
-            <div class="card-header">
-                <div class="card-icon" style="background: linear-gradient(135deg, #667eea, #764ba2);">
-                    <i class="fas fa-database"></i>
-                </div>
-                <div>
-                    <div class="card-title">${dataSource.name}</div>
-                    <div class="card-subtitle">${dataSource.owners.length} owners</div>
-                </div>
-            </div>
-            <div class="role-distribution">
-                ${Object.entries(dataSource.roleCount).slice(0, 3).map(([role, count]) => 
-                    `<span class="role-badge">${role} (${count})</span>`
-                ).join('')}
-            </div>
-            <div class="member-list">
-                ${dataSource.owners.slice(0, 3).map(o => 
-                    `<span class="member-chip">${o.name}</span>`
-                ).join('')}
-                ${dataSource.owners.length > 3 ? `<span class="member-chip">+${dataSource.owners.length - 3} more</span>` : ''}
-            </div>
-        </div>
-    `).join('');
+    return { fields, splits: {}, delimiter: suggestMultiValueDelimiter(records, fields) };
 }
 
-// ================================
-// SERVICES VIEW
-// ================================
-function renderServicesView() {
-    const container = document.getElementById('servicesGrid');
+function suggestMultiValueDelimiter(records, fields) {
+    const columns = IMPORT_FIELDS.filter(field => isMultiValueField(field.key))
+        .flatMap(field => (fields[field.key] || []).map(source => source.column));
+    const counts = [';', ',', '|'].map(delimiter => ({
+        delimiter,
+        count: records.slice(1).filter(values => columns.some(column => (values[column] || '').includes(delimiter))).length
+    }));
+    const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+    return best.count > 0 ? best.delimiter : ';';
+}
+
+function splitColumnValue(value, separator) {
+    const trimmed = value.trim();
+    if (!trimmed) return [];
+    return separator === ' ' ? trimmed.split(/\s+/) : trimmed.split(separator).map(part => part.trim());
+}
+
+function countSplitParts(records, column, separator) {
+    const most = Math.max(0, ...records.slice(1).map(values => splitColumnValue(values[column] || '', separator).length));
+    return Math.min(Math.max(most, 2), MAX_SPLIT_PARTS);
+}
+
+function getSplitPartCounts(records, mapping) {
+    const counts = {};
+    Object.entries(mapping.splits).forEach(([column, separator]) => {
+        counts[column] = countSplitParts(records, Number(column), separator);
+    });
+    return counts;
+}
+
+/**
+ * Reads one source of a field. The last part of a split column keeps
+ * whatever follows it, so "Mary Ann Smith" split at spaces into two parts
+ * gives "Mary" and "Ann Smith".
+ */
+function readMappingSource(values, source, mapping, partCounts) {
+    const value = (values[source.column] || '').trim();
+    if (source.part === null) return value;
+    
+    const separator = mapping.splits[source.column];
+    const pieces = splitColumnValue(value, separator);
+    if (source.part < partCounts[source.column] - 1) {
+        return pieces[source.part] || '';
+    }
+    return pieces.slice(source.part).join(separator === ' ' ? ' ' : `${separator} `);
+}
+
+function readMappedField(values, field, mapping, partCounts) {
+    const parts = (mapping.fields[field] || [])
+        .map(source => readMappingSource(values, source, mapping, partCounts))
+        .filter(Boolean);
+    if (!isMultiValueField(field)) {
+        return parts.join(' ');
+    }
+    return parts.flatMap(part => part.split(mapping.delimiter))
+        .map(value => value.trim())
+        .filter(Boolean)
+        .join(';');
+}
+
+/**
+ * Rewrites uploaded records with the app's field names as headers. Columns
+ * not used by any field are kept under their own names unless they would
+ * clash with a field.
+ */
+function applyColumnMapping(records, mapping) {
+    const headers = records[0].map(header => header.trim());
+    const partCounts = getSplitPartCounts(records, mapping);
+    const fields = IMPORT_FIELDS.map(field => field.key).filter(field => (mapping.fields[field] || []).length > 0);
+    const used = new Set(Object.values(mapping.fields).flat().map(source => source.column));
+    const names = new Set(IMPORT_FIELDS.map(field => field.key));
+    const extras = headers.map((header, column) => column).filter(column => {
+        const name = normalizeHeader(headers[column]);
+        if (!name || used.has(column) || names.has(name)) return false;
+        names.add(name);
+        return true;
+    });
+    
+    const rows = records.slice(1).map(values => {
+        const row = [
+            ...fields.map(field => readMappedField(values, field, mapping, partCounts)),
+            ...extras.map(column => values[column] || '')
+        ];
+        row.line = values.line;
+        return row;
+    });
+    return [[...fields, ...extras.map(column => headers[column])], ...rows];
+}
+
+function loadColumnMappings() {
+    try {
+        const mappings = JSON.parse(localStorage.getItem(COLUMN_MAPPINGS_KEY) || '{}');
+        return mappings && typeof mappings === 'object' && !Array.isArray(mappings) ? mappings : {};
+    } catch (error) {
+        console.warn('Could not read column mappings:', error);
+        return {};
+    }
+}
+
+/**
+ * Saves a mapping under the file name with columns stored by header, so it
+ * still applies when a later export of the same sheet reorders them.
+ */
+function saveColumnMapping(fileName, headers, mapping) {
+    const mappings = loadColumnMappings();
+    const fields = {};
+    Object.entries(mapping.fields).forEach(([field, sources]) => {
+        fields[field] = sources.map(source => ({ column: headers[source.column], part: source.part }));
+    });
+    const splits = {};
+    Object.entries(mapping.splits).forEach(([column, separator]) => {
+        splits[headers[column]] = separator;
+    });
+    
+    mappings[fileName] = { fields, splits, delimiter: mapping.delimiter, saved: new Date().toISOString() };
+    try {
+        localStorage.setItem(COLUMN_MAPPINGS_KEY, JSON.stringify(mappings));
+    } catch (error) {
+        console.warn('Could not save the column mapping:', error);
+    }
+}
+
+/**
+ * Turns a saved mapping back into column indexes. Returns null when the
+ * file no longer has one of its columns or it leaves a required field empty.
+ */
+function restoreColumnMapping(saved, headers) {
+    if (!saved || typeof saved.fields !== 'object' || saved.fields === null) return null;
+    
+    const columnOf = header => headers.indexOf(header);
+    const splits = {};
+    for (const [header, separator] of Object.entries(saved.splits || {})) {
+        if (columnOf(header) === -1 || !(separator in SPLIT_SEPARATORS)) return null;
+        splits[columnOf(header)] = separator;
+    }
     
-    if (AppState.services.size === 0) {
-        container.innerHTML = '<p style="grid-column: 1/-1; text-align: center; color: var(--gray-500);">No services found</p>';
+    const fields = {};
+    for (const field of IMPORT_FIELDS) {
+        const sources = Array.isArray(saved.fields[field.key]) ? saved.fields[field.key] : [];
+        if (sources.some(source => columnOf(source.column) === -1)) return null;
+        const restored = sources
+            .map(source => ({ column: columnOf(source.column), part: Number.isInteger(source.part) ? source.part : null }))
+            .filter(source => source.part === null || source.column in splits);
+        if (restored.length > 0) fields[field.key] = restored;
+    }
+    
+    if (REQUIRED_FIELDS.some(field => !fields[field])) return null;
+    return { fields, splits, delimiter: saved.delimiter in MULTI_VALUE_DELIMITERS ? saved.delimiter : ';' };
+}
+
+/**
+ * Every upload passes through here once its records are read. A saved
+ * mapping for the file name is applied straight away, and files that
+ * already use the app's column names skip the mapping step; anything else
+ * is shown in the mapping form.
+ */
+async function startColumnMapping(records, fileName) {
+    const { data, headers } = await parseImportRows(() => recordsToRows(records));
+    const saved = restoreColumnMapping(loadColumnMappings()[fileName], headers);
+    AppState.columnMapping = {
+        records,
+        headers,
+        fileName,
+        mapping: saved || suggestColumnMapping(records)
+    };
+    
+    if (saved) {
+        showToast(`Applied the column mapping saved for ${fileName}`, 'info');
+        await importMappedRecords();
+    } else if (REQUIRED_FIELDS.every(field => field in data[0])) {
+        startPendingImport(data, headers, fileName);
+    } else {
+        renderColumnMapping();
+    }
+}
+
+async function importMappedRecords() {
+    const { records, fileName, mapping } = AppState.columnMapping;
+    const { data, headers } = await parseImportRows(() => recordsToRows(applyColumnMapping(records, mapping)));
+    startPendingImport(data, headers, fileName);
+}
+
+function getMissingRequiredFields() {
+    const { mapping } = AppState.columnMapping;
+    return REQUIRED_FIELDS.filter(field => !(mapping.fields[field] || []).length);
+}
+
+async function submitColumnMapping() {
+    const state = AppState.columnMapping;
+    const missing = getMissingRequiredFields();
+    if (missing.length > 0) {
+        showToast(`Choose a column for ${missing.join(', ')}`, 'warning');
         return;
     }
     
-    const servicesData = [];
-    AppState.services.forEach(serviceName => {
-        const admins = AppState.filteredData.filter(person => 
-            person.services && person.services.split(';').map(s => s.trim()).includes(serviceName)
-        );
-        servicesData.push({ name: serviceName, admins });
+    saveColumnMapping(state.fileName, state.headers, state.mapping);
+    try {
+        await importMappedRecords();
+    } catch (error) {
+        showToast(`Error reading ${state.fileName}: ${error.message}`, 'error');
+    }
+}
+
+function setMappingSource(field, slot, value) {
+    const { mapping } = AppState.columnMapping;
+    const sources = mapping.fields[field] || [];
+    if (value === '') {
+        sources.splice(slot, 1);
+    } else {
+        const [column, part] = value.split('.');
+        sources[slot] = { column: Number(column), part: part === undefined ? null : Number(part) };
+    }
+    
+    if (sources.length > 0) {
+        mapping.fields[field] = sources;
+    } else {
+        delete mapping.fields[field];
+    }
+    renderColumnMapping();
+}
+
+function addMappingSource(field) {
+    const { mapping } = AppState.columnMapping;
+    const sources = mapping.fields[field] || [];
+    const used = new Set(sources.map(source => source.column));
+    const column = AppState.columnMapping.headers.findIndex((header, index) => !used.has(index));
+    if (column === -1) return;
+    
+    mapping.fields[field] = [...sources, { column, part: null }];
+    renderColumnMapping();
+}
+
+function removeMappingSource(field, slot) {
+    setMappingSource(field, slot, '');
+}
+
+/**
+ * Splitting a column offers its parts as sources. Fields that used parts
+ * of the column before it was split differently lose those sources.
+ */
+function setColumnSplit(column, separator) {
+    const { mapping } = AppState.columnMapping;
+    if (separator) {
+        mapping.splits[column] = separator;
+    } else {
+        delete mapping.splits[column];
+    }
+    
+    Object.keys(mapping.fields).forEach(field => {
+        const sources = mapping.fields[field].filter(source => source.column !== column || source.part === null);
+        if (sources.length > 0) {
+            mapping.fields[field] = sources;
+        } else {
+            delete mapping.fields[field];
+        }
     });
+    renderColumnMapping();
+}
+
+function setMappingDelimiter(delimiter) {
+    AppState.columnMapping.mapping.delimiter = delimiter;
+    renderColumnMapping();
+}
+
+function resetColumnMapping() {
+    const state = AppState.columnMapping;
+    state.mapping = suggestColumnMapping(state.records);
+    renderColumnMapping();
+}
+
+function renderMapColumnsButton() {
+    return AppState.columnMapping ? `
+        <button class="btn-secondary" data-action="edit-column-mapping">
+            <i class="fas fa-columns"></i>
+            Map Columns
+        </button>
+    ` : '';
+}
+
+function getColumnLabel(headers, column) {
+    return headers[column] || `Column ${column + 1}`;
+}
+
+function renderMappingSourceOptions(state, partCounts, source) {
+    const { headers, mapping } = state;
+    const selected = source ? `${source.column}${source.part === null ? '' : `.${source.part}`}` : '';
+    const option = (value, label) => 
+        `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`;
     
-    container.innerHTML = servicesData.map(service => `
-        <div class="service-card">
-            <div class="card-header">
-                <div class="card-icon">
-                    <i class="fas fa-server"></i>
-                </div>
-                <div>
-                    <div class="card-title">${service.name}</div>
-                    <div class="card-subtitle">${service.admins.length} administrators</div>
+    return option('', 'Not mapped') + headers.map((header, column) => {
+        const label = getColumnLabel(headers, column);
+        if (!(column in mapping.splits)) {
+            return option(String(column), label);
+        }
+        const parts = Array.from({ length: partCounts[column] }, (_, part) => 
+            option(`${column}.${part}`, `${label} › part ${part + 1}`)
+        );
+        return option(String(column), `${label} (whole)`) + parts.join('');
+    }).join('');
+}
+
+function renderMappingFieldRow(field, state, partCounts) {
+    const { mapping, records } = state;
+    const sources = mapping.fields[field.key] || [];
+    const required = REQUIRED_FIELDS.includes(field.key);
+    const slots = sources.length > 0 ? sources : [null];
+    const preview = records.length > 1 ? readMappedField(records[1], field.key, mapping, partCounts) : '';
+    
+    return `
+        <tr class="${required && sources.length === 0 ? 'mapping-missing' : ''}">
+            <td>
+                <strong>${field.label}</strong>
+                ${required ? '<span class="mapping-required">required</span>' : ''}
+                ${isMultiValueField(field.key) ? '<br><small>Several values</small>' : ''}
+            </td>
+            <td>
+                <div class="mapping-sources">
+                    ${slots.map((source, slot) => `
+                        ${slot > 0 ? '<span class="mapping-join">+</span>' : ''}
+                        <select class="filter-select" data-action="set-mapping-source" data-field="${field.key}" data-slot="${slot}" aria-label="Column for ${field.label}">
+                            ${renderMappingSourceOptions(state, partCounts, source)}
+                        </select>
+                        ${slots.length > 1 ? `
+                            <button class="btn-icon" data-action="remove-mapping-source" data-field="${field.key}" data-slot="${slot}" title="Remove this column">
+                                <i class="fas fa-times"></i>
+                            </button>
+                        ` : ''}
+                    `).join('')}
+                    ${sources.length > 0 ? `
+                        <button class="btn-secondary mapping-combine" data-action="add-mapping-source" data-field="${field.key}" title="Combine with another column">
+                            <i class="fas fa-plus"></i> Combine
+                        </button>
+                    ` : ''}
                 </div>
+            </td>
+            <td class="mapping-preview">${escapeHtml(preview)}</td>
+        </tr>
+    `;
+}
+
+function renderColumnMapping() {
+    const state = AppState.columnMapping;
+    const { headers, records, mapping, fileName } = state;
+    const partCounts = getSplitPartCounts(records, mapping);
+    const missing = getMissingRequiredFields();
+    const container = document.getElementById('validationReport');
+    AppState.pendingImport = null;
+    
+    container.innerHTML = `
+        <div class="validation-summary">
+            <div>
+                <h3>Map the columns of ${escapeHtml(fileName)}</h3>
+                <p>
+                    ${records.length - 1} rows • ${headers.length} columns •
+                    ${missing.length > 0 ? 
+                        `<span class="validation-count error">Choose a column for ${missing.join(', ')}</span>` : 
+                        'All required fields are mapped'}
+                </p>
             </div>
-            <div class="member-list">
-                ${service.admins.length > 0 ? 
-                    service.admins.map(a => 
-                        `<span class="member-chip" onclick='showPersonDetails(${JSON.stringify(a).replace(/'/g, "&apos;")})'>${a.name}</span>`
-                    ).join('') : 
-                    '<p style="color: var(--gray-500);">No administrators assigned</p>'
-                }
+            <div class="validation-actions">
+                <button class="btn-secondary" data-action="reset-column-mapping">
+                    <i class="fas fa-magic"></i>
+                    Suggest Again
+                </button>
+                <button class="btn-primary" data-action="apply-column-mapping" ${missing.length > 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-right"></i>
+                    Continue
+                </button>
             </div>
         </div>
-    `).join('');
+        
+        <div class="validation-block">
+            <h4>Fields</h4>
+            <p class="validation-hint">
+                Suggested matches are filled in. Use Combine to join columns, such as a first and last name.
+                Columns you do not map are kept under their own names.
+            </p>
+            <label class="mapping-delimiter">
+                Several values in one cell are separated by
+                <select class="filter-select" data-action="set-mapping-delimiter">
+                    ${Object.entries(MULTI_VALUE_DELIMITERS).map(([delimiter, label]) => `
+                        <option value="${escapeHtml(delimiter)}" ${delimiter === mapping.delimiter ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <div class="table-container">
+                <table class="data-table mapping-table">
+                    <thead>
+                        <tr>
+                            <th>Field</th>
+                            <th>Columns</th>
+                            <th>First row</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${IMPORT_FIELDS.map(field => renderMappingFieldRow(field, state, partCounts)).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        
+        <div class="validation-block">
+            <h4>Split columns</h4>
+            <p class="validation-hint">
+                Split a column to map its parts separately. "Doe, Jane" split at the comma gives part 1 "Doe" and part 2 "Jane".
+            </p>
+            <div class="mapping-splits">
+                ${headers.map((header, column) => `
+                    <label class="mapping-split">
+                        <span>
+                            <strong>${escapeHtml(getColumnLabel(headers, column))}</strong>
+                            <small>${escapeHtml(getColumnSample(records, column)) || 'empty'}</small>
+                        </span>
+                        <select class="filter-select" data-action="set-column-split" data-column="${column}">
+                            <option value="">Keep whole</option>
+                            ${Object.entries(SPLIT_SEPARATORS).map(([separator, label]) => `
+                                <option value="${escapeHtml(separator)}" ${mapping.splits[column] === separator ? 'selected' : ''}>Split at ${label.toLowerCase()}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+    `;
+    
+    document.getElementById('csvUploadArea').style.display = 'none';
+    container.style.display = 'block';
 }
 
 // ================================
-// FILTERING & SEARCH
+// IMPORT VALIDATION
 // ================================
-function populateFilters() {
-    // Team filter
-    const teamFilter = document.getElementById('teamFilter');
-    teamFilter.innerHTML = '<option value="">All Teams</option>';
-    Array.from(AppState.teams).sort().forEach(team => {
-        teamFilter.innerHTML += `<option value="${team}">${team}</option>`;
-    });
-    
-    // Institution filter
-    const instFilter = document.getElementById('institutionFilter');
-    instFilter.innerHTML = '<option value="">All Institutions</option>';
-    Array.from(AppState.institutions).sort().forEach(inst => {
-        instFilter.innerHTML += `<option value="${inst}">${inst}</option>`;
-    });
-    
-    // Project filter
-    const projFilter = document.getElementById('projectFilter');
-    projFilter.innerHTML = '<option value="">All Projects</option>';
-    Array.from(AppState.projects).sort().forEach(proj => {
-        projFilter.innerHTML += `<option value="${proj}">${proj}</option>`;
-    });
-    
-    // Data Source filter
-    const dataSourceFilter = document.getElementById('dataSourceFilter');
-    dataSourceFilter.innerHTML = '<option value="">All Data Sources</option>';
-    Array.from(AppState.dataSources).sort().forEach(source => {
-        dataSourceFilter.innerHTML += `<option value="${source}">${source}</option>`;
-    });
-}
-
-function applyFilters() {
-    const searchTerm = document.getElementById('searchInput').value.toLowerCase();
-    const teamFilter = document.getElementById('teamFilter').value;
-    const instFilter = document.getElementById('institutionFilter').value;
-    const projFilter = document.getElementById('projectFilter').value;
-    const dataSourceFilter = document.getElementById('dataSourceFilter').value;
-    const statusFilter = document.getElementById('statusFilter').value;
-    
-    AppState.filteredData = AppState.rawData.filter(person => {
-        // Search filter
-        if (searchTerm) {
-            const searchableFields = [
-                person.name,
-                person.email,
-                person.role,
-                person.team,
-                person.institution,
-                person.projects,
-                person.data_sources,
-                person.services
-            ].filter(Boolean).join(' ').toLowerCase();
-            
-            if (!searchableFields.includes(searchTerm)) {
-                return false;
-            }
+const REQUIRED_FIELDS = ['name', 'email', 'role', 'team'];
+const VALID_STATUSES = ['active', 'inactive'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TAG_FIELDS = {
+    team: 'Team',
+    projects: 'Project',
+    data_sources: 'Data source',
+    services: 'Service'
+};
+
+/**
+ * Checks every row and returns a report instead of stopping at the first
+ * problem. Errors make a row unimportable; warnings are informational.
+ * Only structural problems (no rows, missing required columns) throw.
+ */
+function validateCSVData(data, options = {}) {
+    if (!data || data.length === 0) {
+        throw new Error('No data found in CSV file');
+    }
+    
+    // Check for required columns
+    const headers = Object.keys(data[0]);
+    for (const column of REQUIRED_FIELDS) {
+        if (!headers.includes(column)) {
+            throw new Error(`Required column "${column}" not found in CSV`);
         }
-        
-        // Team filter
-        if (teamFilter && (!person.team || !person.team.split(';').map(t => t.trim()).includes(teamFilter))) {
-            return false;
+    }
+    
+    const skipped = options.skipped || new Set();
+    const seenEmails = new Map();
+    const rows = data.map((person, index) => {
+        const result = {
+            index,
+            line: person.sourceLine || index + 2,
+            errors: [],
+            warnings: []
+        };
+        if (skipped.has(index)) {
+            return result;
         }
         
-        // Institution filter
-        if (instFilter && person.institution !== instFilter) {
-            return false;
-        }
+        REQUIRED_FIELDS.forEach(field => {
+            if (!person[field] || !person[field].trim()) {
+                result.errors.push({ field, message: `Missing ${field}` });
+            }
+        });
         
-        // Project filter
-        if (projFilter && (!person.projects || !person.projects.split(';').map(p => p.trim()).includes(projFilter))) {
-            return false;
+        if (person.email && person.email.trim()) {
+            const email = person.email.trim().toLowerCase();
+            if (!EMAIL_PATTERN.test(email)) {
+                result.errors.push({ field: 'email', message: `Malformed email "${person.email}"` });
+            } else if (seenEmails.has(email)) {
+                result.errors.push({ field: 'email', message: `Duplicate email (also on line ${seenEmails.get(email)})` });
+            } else {
+                seenEmails.set(email, result.line);
+            }
         }
         
-        // Data Source filter
-        if (dataSourceFilter && (!person.data_sources || !person.data_sources.split(';').map(d => d.trim()).includes(dataSourceFilter))) {
-            return false;
+        if (person.status && !VALID_STATUSES.includes(person.status)) {
+            result.warnings.push({ field: 'status', message: `Unknown status "${person.status}" (expected active or inactive)` });
         }
         
-        // Status filter
-        if (statusFilter && (person.status || 'active') !== statusFilter) {
-            return false;
-        }
+        Object.entries(TAG_FIELDS).forEach(([field, label]) => {
+            if (person[field] && person[field] !== cleanTagList(person[field])) {
+                result.warnings.push({ field, message: `${label} list has extra whitespace or empty entries` });
+            }
+        });
         
-        return true;
+        return result;
     });
     
-    AppState.currentPage = 1;
-    renderCurrentView();
+    const included = data.filter((person, index) => !skipped.has(index));
+    const tagIssues = findNearDuplicateTags(included);
+    
+    const errorCount = rows.reduce((sum, row) => sum + row.errors.length, 0);
+    const warningCount = rows.reduce((sum, row) => sum + row.warnings.length, 0) + tagIssues.length;
+    const validCount = rows.filter(row => !skipped.has(row.index) && row.errors.length === 0).length;
+    
+    return { rows, tagIssues, errorCount, warningCount, validCount };
 }
 
-function clearFilters() {
-    document.getElementById('searchInput').value = '';
-    document.getElementById('teamFilter').value = '';
-    document.getElementById('institutionFilter').value = '';
-    document.getElementById('projectFilter').value = '';
-    document.getElementById('dataSourceFilter').value = '';
-    document.getElementById('statusFilter').value = '';
-    
-    AppState.filteredData = AppState.rawData;
-    AppState.currentPage = 1;
-    renderCurrentView();
+function getValidRows(data, report, skipped = new Set()) {
+    return data.filter((person, index) => !skipped.has(index) && report.rows[index].errors.length === 0);
 }
 
-// ================================
-// SORTING
-// ================================
-function sortTable(column) {
-    if (AppState.sortColumn === column) {
-        AppState.sortDirection = AppState.sortDirection === 'asc' ? 'desc' : 'asc';
-    } else {
-        AppState.sortColumn = column;
-        AppState.sortDirection = 'asc';
+function cleanTagList(value) {
+    return value.split(';')
+        .map(tag => tag.trim().replace(/\s+/g, ' '))
+        .filter(Boolean)
+        .join(';');
+}
+
+function getTagMatchKey(field, tag) {
+    let key = tag.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    if (field === 'team') {
+        key = key.replace(/^team\s+|\s+team$/g, '');
     }
+    return key;
+}
+
+function findNearDuplicateTags(data) {
+    const issues = [];
     
-    AppState.filteredData.sort((a, b) => {
-        const aValue = a[column] || '';
-        const bValue = b[column] || '';
+    Object.keys(TAG_FIELDS).forEach(field => {
+        // Count each distinct spelling
+        const counts = new Map();
+        data.forEach(person => {
+            if (!person[field]) return;
+            cleanTagList(person[field]).split(';').filter(Boolean).forEach(tag => {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            });
+        });
         
-        if (AppState.sortDirection === 'asc') {
-            return aValue.localeCompare(bValue);
-        } else {
-            return bValue.localeCompare(aValue);
+        // Group spellings whose keys match or differ by a single edit
+        const tags = Array.from(counts.keys());
+        const keys = tags.map(tag => getTagMatchKey(field, tag));
+        const group = tags.map((tag, index) => index);
+        const findGroup = i => (group[i] === i ? i : (group[i] = findGroup(group[i])));
+        
+        for (let i = 0; i < tags.length; i++) {
+            for (let j = i + 1; j < tags.length; j++) {
+                const similar = keys[i] === keys[j] ||
+                    (Math.min(keys[i].length, keys[j].length) >= 5 && editDistance(keys[i], keys[j]) <= 1);
+                if (similar) {
+                    group[findGroup(j)] = findGroup(i);
+                }
+            }
         }
+        
+        const groups = new Map();
+        tags.forEach((tag, index) => {
+            const root = findGroup(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push({ value: tag, count: counts.get(tag) });
+        });
+        
+        groups.forEach(variants => {
+            if (variants.length < 2) return;
+            // Suggest the most used spelling, then the shortest
+            variants.sort((a, b) => b.count - a.count || a.value.length - b.value.length);
+            issues.push({ field, variants, suggestion: variants[0].value });
+        });
     });
     
-    renderTableView();
+    return issues;
 }
 
 // ================================
-// MODALS
+// VALIDATION REPORT
 // ================================
-function showPersonDetails(person) {
-    const modal = document.getElementById('personModal');
-    const modalTitle = document.getElementById('modalPersonName');
-    const modalBody = document.getElementById('modalBody');
-    
-    modalTitle.textContent = person.name;
-    
-    const teams = person.team ? person.team.split(';').map(t => `<span class="tag tag-team">${t.trim()}</span>`).join('') : 'Not assigned';
-    const projects = person.projects ? person.projects.split(';').map(p => `<span class="tag tag-project">${p.trim()}</span>`).join('') : 'None';
-    const dataSources = person.data_sources ? person.data_sources.split(';').map(d => `<span class="tag tag-data">${d.trim()}</span>`).join('') : 'None';
-    const services = person.services ? person.services.split(';').map(s => `<span class="tag tag-service">${s.trim()}</span>`).join('') : 'None';
+function revalidatePendingImport() {
+    const pending = AppState.pendingImport;
+    pending.report = validateCSVData(pending.data, { skipped: pending.skipped });
+    return pending.report;
+}
+
+function renderValidationReport() {
+    const pending = AppState.pendingImport;
+    const { report } = pending;
+    const container = document.getElementById('validationReport');
+    const problemRows = report.rows.filter(row => 
+        row.errors.length > 0 || row.warnings.length > 0 || pending.skipped.has(row.index)
+    );
     
-    modalBody.innerHTML = `
-        <div class="person-details-modal">
-            <div class="detail-row">
-                <span class="detail-label">Email:</span>
-                <span class="detail-value"><a href="mailto:${person.email}">${person.email}</a></span>
-            </div>
-            <div class="detail-row">
-                <span class="detail-label">Role:</span>
-                <span class="detail-value">${person.role}</span>
-            </div>
-            <div class="detail-row">
-                <span class="detail-label">Institution:</span>
-                <span class="detail-value">${person.institution || 'Not specified'}</span>
-            </div>
-            <div class="detail-row">
-                <span class="detail-label">Teams:</span>
-                <span class="detail-value">${teams}</span>
-            </div>
-            <div class="detail-row">
-                <span class="detail-label">Projects:</span>
-                <span class="detail-value">${projects}</span>
+    container.innerHTML = `
+        <div class="validation-summary">
+            <div>
+                <h3>Review ${escapeHtml(pending.fileName)}</h3>
+                <p>
+                    ${pending.data.length} rows •
+                    <span class="validation-count error">${report.errorCount} errors</span> •
+                    <span class="validation-count warning">${report.warningCount} warnings</span> •
+                    ${report.validCount} rows ready to import
+                </p>
             </div>
-            <div class="detail-row">
-                <span class="detail-label">Data Sources:</span>
-                <span class="detail-value">${dataSources}</span>
+            <div class="validation-actions">
+                ${renderMapColumnsButton()}
+                <button class="btn-secondary" data-action="clean-import">
+                    <i class="fas fa-magic"></i>
+                    Apply Fixes
+                </button>
+                <button class="btn-secondary" data-action="recheck-import">
+                    <i class="fas fa-redo"></i>
+                    Re-check
+                </button>
+                <button class="btn-primary" data-action="import-valid-rows" ${report.validCount === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-check"></i>
+                    ${report.errorCount === 0 ? `Import All ${report.validCount} Rows` : `Import ${report.validCount} Valid Rows`}
+                </button>
             </div>
-            <div class="detail-row">
-                <span class="detail-label">Services:</span>
-                <span class="detail-value">${services}</span>
+        </div>
+        
+        ${report.tagIssues.length > 0 ? `
+            <div class="validation-block">
+                <h4>Possible duplicate tags</h4>
+                <p class="validation-hint">Checked groups are merged into the selected spelling when you apply fixes, and the other spellings are saved as tag aliases for later imports.</p>
+                ${report.tagIssues.map((issue, issueIndex) => `
+                    <label class="tag-issue">
+                        <input type="checkbox" class="tag-issue-merge" data-issue="${issueIndex}" checked>
+                        <span class="tag-issue-field">${TAG_FIELDS[issue.field]}:</span>
+                        ${issue.variants.map(v => `<span class="tag tag-more">${escapeHtml(v.value)} (${v.count})</span>`).join('')}
+                        <span>→</span>
+                        <select class="filter-select tag-issue-target" data-issue="${issueIndex}">
+                            ${issue.variants.map(v => 
+                                `<option value="${escapeHtml(v.value)}" ${v.value === issue.suggestion ? 'selected' : ''}>${escapeHtml(v.value)}</option>`
+                            ).join('')}
+                        </select>
+                    </label>
+                `).join('')}
             </div>
-            <div class="detail-row">
-                <span class="detail-label">Status:</span>
-                <span class="detail-value">
-                    <span class="status-badge ${person.status || 'active'}">${person.status || 'active'}</span>
-                </span>
+        ` : ''}
+        
+        ${problemRows.length > 0 ? `
+            <div class="validation-block">
+                <h4>Rows with problems</h4>
+                <div class="table-container">
+                    <table class="data-table validation-table">
+                        <thead>
+                            <tr>
+                                <th>Skip</th>
+                                <th>Line</th>
+                                <th>Person</th>
+                                <th>Issues</th>
+                                <th>Fix</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${problemRows.map(row => renderValidationRow(row, pending)).join('')}
+                        </tbody>
+                    </table>
+                </div>
             </div>
-        </div>
+        ` : ''}
     `;
     
-    modal.classList.add('active');
+    document.getElementById('csvUploadArea').style.display = 'none';
+    container.style.display = 'block';
 }
 
-function showProjectDetails(project) {
-    const modal = document.getElementById('projectModal');
-    const modalTitle = document.getElementById('projectModalTitle');
-    const modalBody = document.getElementById('projectModalBody');
-    
-    modalTitle.textContent = `Project: ${project.name}`;
+function renderValidationRow(row, pending) {
+    const person = pending.data[row.index];
+    const skipped = pending.skipped.has(row.index);
+    const errorFields = [...new Set(row.errors.map(issue => issue.field))];
     
-    modalBody.innerHTML = `
-        <div class="project-details">
-            <h3>Team Members (${project.members.length})</h3>
-            <div class="institution-breakdown">
-                ${Object.entries(project.institutionCount).map(([inst, count]) => 
-                    `<span class="inst-badge">${inst}: ${count}</span>`
-                ).join('')}
-            </div>
-            <div class="project-team-list">
-                ${project.members.map(m => `
-                    <div class="project-member-card">
-                        <div class="member-info">
-                            <strong>${m.name}</strong> - ${m.role}
-                            <br><small>${m.institution || 'No institution'}</small>
-                            <br><small>${m.email}</small>
-                        </div>
-                    </div>
+    return `
+        <tr class="${skipped ? 'skipped' : ''}">
+            <td><input type="checkbox" ${skipped ? 'checked' : ''} data-action="toggle-skip-row" data-index="${row.index}"></td>
+            <td>${row.line}</td>
+            <td>
+                <strong>${escapeHtml(person.name || '(no name)')}</strong>
+                <br><small>${escapeHtml(person.email || '(no email)')}</small>
+            </td>
+            <td>
+                ${skipped ? '<span class="validation-skipped">Skipped</span>' : ''}
+                ${row.errors.map(issue => `<div class="validation-issue error"><i class="fas fa-times-circle"></i> ${escapeHtml(issue.message)}</div>`).join('')}
+                ${row.warnings.map(issue => `<div class="validation-issue warning"><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(issue.message)}</div>`).join('')}
+            </td>
+            <td>
+                ${errorFields.map(field => `
+                    <input type="text" class="validation-input" placeholder="${field}" value="${escapeHtml(person[field])}"
+                           data-action="update-pending-field" data-index="${row.index}" data-field="${field}">
                 `).join('')}
-            </div>
-        </div>
+            </td>
+        </tr>
     `;
-    
-    modal.classList.add('active');
 }
 
-function showDataSourceDetails(dataSource) {
-    const modal = document.getElementById('dataSourceModal');
-    const modalTitle = document.getElementById('dataSourceModalTitle');
-    const modalBody = document.getElementById('dataSourceModalBody');
-    
-    modalTitle.textContent = `Data Source: ${dataSource.name}`;
-    
-    modalBody.innerHTML = `
-        <div class="data-source-details">
-            <h3>Data Owners (${dataSource.owners.length})</h3>
-            <div class="role-breakdown">
-                ${Object.entries(dataSource.roleCount).map(([role, count]) => 
-                    `<span class="role-badge">${role}: ${count}</span>`
-                ).join('')}
+function toggleSkipRow(index, skip) {
+    const pending = AppState.pendingImport;
+    if (skip) {
+        pending.skipped.add(index);
+    } else {
+        pending.skipped.delete(index);
+    }
+    recheckPendingImport();
+}
+
+function updatePendingField(index, field, value) {
+    AppState.pendingImport.data[index][field] = value.trim();
+}
+
+function recheckPendingImport() {
+    revalidatePendingImport();
+    renderValidationReport();
+}
+
+function cleanPendingImport() {
+    const pending = AppState.pendingImport;
+    
+    // Collect the tag merges the admin left checked
+    const merges = [];
+    document.querySelectorAll('.tag-issue-merge').forEach(checkbox => {
+        if (!checkbox.checked) return;
+        const issue = pending.report.tagIssues[checkbox.dataset.issue];
+        const target = document.querySelector(`.tag-issue-target[data-issue="${checkbox.dataset.issue}"]`).value;
+        merges.push({ field: issue.field, variants: issue.variants.map(v => v.value), target });
+        // Remembered so later imports merge the same spellings
+        addAliases(pending.aliases, getEntityTypeByField(issue.field), issue.variants.map(v => v.value), target);
+    });
+    
+    pending.data.forEach(person => {
+        // Whitespace and empty entries
+        Object.keys(TAG_FIELDS).forEach(field => {
+            if (person[field]) {
+                person[field] = cleanTagList(person[field]);
+            }
+        });
+        
+        // Status casing
+        if (person.status && VALID_STATUSES.includes(person.status.trim().toLowerCase())) {
+            person.status = person.status.trim().toLowerCase();
+        }
+        
+        // Near-duplicate tags
+        merges.forEach(({ field, variants, target }) => {
+            if (!person[field]) return;
+            const tags = person[field].split(';').map(tag => (variants.includes(tag) ? target : tag));
+            person[field] = [...new Set(tags)].join(';');
+        });
+    });
+    
+    recheckPendingImport();
+    showToast('Fixes applied', 'success');
+}
+
+function importValidRows() {
+    const pending = AppState.pendingImport;
+    const rows = getValidRows(pending.data, pending.report, pending.skipped);
+    if (rows.length === 0) {
+        showToast('No valid rows to import', 'error');
+        return;
+    }
+    previewPendingImport(rows);
+}
+
+// ================================
+// IMPORT DIFF PREVIEW
+// ================================
+/**
+ * Compares two datasets keyed by email. Returns added and removed people and,
+ * for people in both, the list of fields whose values differ. Multi-value
+ * fields also report which tags were added or dropped.
+ */
+function diffDatasets(oldData, newData) {
+    const oldByKey = new Map(oldData.map(person => [getPersonKey(person), person]));
+    const newKeys = new Set(newData.map(getPersonKey));
+    
+    const added = [];
+    const changed = [];
+    newData.forEach(person => {
+        const before = oldByKey.get(getPersonKey(person));
+        if (!before) {
+            added.push(person);
+            return;
+        }
+        
+        const fields = [];
+        const fieldNames = new Set([...Object.keys(before), ...Object.keys(person)]);
+        fieldNames.forEach(field => {
+            const oldValue = before[field] || '';
+            const newValue = person[field] || '';
+            if (oldValue === newValue) return;
+            
+            const change = { field, before: oldValue, after: newValue };
+            if (TAG_FIELDS[field]) {
+                const oldTags = oldValue.split(';').map(t => t.trim()).filter(Boolean);
+                const newTags = newValue.split(';').map(t => t.trim()).filter(Boolean);
+                change.addedTags = newTags.filter(tag => !oldTags.includes(tag));
+                change.removedTags = oldTags.filter(tag => !newTags.includes(tag));
+            }
+            fields.push(change);
+        });
+        
+        if (fields.length > 0) {
+            changed.push({ before, after: person, fields });
+        }
+    });
+    
+    const removed = oldData.filter(person => !newKeys.has(getPersonKey(person)));
+    
+    return { added, removed, changed };
+}
+
+function countDiffChanges(diff) {
+    return diff.added.length + diff.removed.length + 
+        diff.changed.reduce((sum, entry) => sum + entry.fields.length, 0);
+}
+
+function renderDiffChange(change) {
+    if (change.addedTags) {
+        return `
+            ${change.addedTags.map(tag => `<span class="tag diff-added">+ ${escapeHtml(tag)}</span>`).join('')}
+            ${change.removedTags.map(tag => `<span class="tag diff-removed">− ${escapeHtml(tag)}</span>`).join('')}
+        `;
+    }
+    return `
+        <span class="diff-removed-text">${escapeHtml(change.before || '(empty)')}</span>
+        <i class="fas fa-arrow-right"></i>
+        <span class="diff-added-text">${escapeHtml(change.after || '(empty)')}</span>
+    `;
+}
+
+/**
+ * Renders a diff as HTML. With options.selectable, every change gets a
+ * checkbox handled by the toggle-diff-change action so it can be accepted
+ * or rejected.
+ */
+function renderDatasetDiff(diff, options = {}) {
+    const rejected = options.rejected || new Set();
+    const checkbox = id => options.selectable ? 
+        `<input type="checkbox" ${rejected.has(id) ? '' : 'checked'} data-action="toggle-diff-change" data-change-id="${escapeHtml(id)}">` : '';
+    
+    return `
+        ${diff.added.length > 0 ? `
+            <div class="diff-section">
+                <h4><i class="fas fa-user-plus"></i> New people (${diff.added.length})</h4>
+                ${diff.added.map((person, i) => `
+                    <label class="diff-row added">
+                        ${checkbox(`add:${i}`)}
+                        <span><strong>${escapeHtml(person.name)}</strong> - ${escapeHtml(person.role)} <small>${escapeHtml(person.email)}</small></span>
+                    </label>
+                `).join('')}
             </div>
-            <div class="data-source-owners-list">
-                ${dataSource.owners.map(o => `
-                    <div class="owner-card">
-                        <div class="owner-info">
-                            <strong>${o.name}</strong> - ${o.role}
-                            <br><small>${o.institution || 'No institution'}</small>
-                            <br><small>${o.email}</small>
-                        </div>
+        ` : ''}
+        
+        ${diff.removed.length > 0 ? `
+            <div class="diff-section">
+                <h4><i class="fas fa-user-minus"></i> People no longer listed (${diff.removed.length})</h4>
+                ${diff.removed.map((person, i) => `
+                    <label class="diff-row removed">
+                        ${checkbox(`remove:${i}`)}
+                        <span><strong>${escapeHtml(person.name)}</strong> - ${escapeHtml(person.role)} <small>${escapeHtml(person.email)}</small></span>
+                    </label>
+                `).join('')}
+            </div>
+        ` : ''}
+        
+        ${diff.changed.length > 0 ? `
+            <div class="diff-section">
+                <h4><i class="fas fa-user-edit"></i> Changed records (${diff.changed.length})</h4>
+                ${diff.changed.map((entry, i) => `
+                    <div class="diff-person">
+                        <div class="diff-person-name"><strong>${escapeHtml(entry.after.name)}</strong> <small>${escapeHtml(entry.after.email)}</small></div>
+                        ${entry.fields.map(change => `
+                            <label class="diff-row changed">
+                                ${checkbox(`change:${i}:${change.field}`)}
+                                <span class="diff-field">${escapeHtml(change.field)}</span>
+                                <span class="diff-values">${renderDiffChange(change)}</span>
+                            </label>
+                        `).join('')}
                     </div>
                 `).join('')}
             </div>
+        ` : ''}
+    `;
+}
+
+function previewPendingImport(rows) {
+    const pending = AppState.pendingImport;
+    // Compare canonical names, so case and alias variants are not reported as changes
+    canonicalizeEntities(rows);
+    
+    // Nothing to compare against: import straight away
+    if (!AppState.hasData || AppState.rawData.length === 0) {
+        commitPendingImport(rows, pending.headers);
+        return;
+    }
+    
+    pending.rows = rows;
+    pending.diff = diffDatasets(AppState.rawData, rows);
+    pending.rejected = new Set();
+    
+    if (countDiffChanges(pending.diff) === 0) {
+        showToast('The uploaded file matches the current data; nothing to import', 'info');
+        hideImportSection();
+        return;
+    }
+    
+    renderImportDiff();
+}
+
+function renderImportDiff() {
+    const pending = AppState.pendingImport;
+    const { diff } = pending;
+    const container = document.getElementById('validationReport');
+    const total = countDiffChanges(diff);
+    
+    container.innerHTML = `
+        <div class="validation-summary">
+            <div>
+                <h3>Changes from ${escapeHtml(pending.fileName)}</h3>
+                <p>
+                    <span class="diff-count added">${diff.added.length} added</span> •
+                    <span class="diff-count removed">${diff.removed.length} removed</span> •
+                    <span class="diff-count changed">${diff.changed.length} changed</span> •
+                    ${total - pending.rejected.size} of ${total} changes selected
+                </p>
+            </div>
+            <div class="validation-actions">
+                ${renderMapColumnsButton()}
+                <button class="btn-secondary" data-action="select-all-diff" data-selected="false">
+                    <i class="fas fa-square"></i>
+                    Select None
+                </button>
+                <button class="btn-secondary" data-action="select-all-diff" data-selected="true">
+                    <i class="fas fa-check-square"></i>
+                    Select All
+                </button>
+                <button class="btn-primary" data-action="apply-import">
+                    <i class="fas fa-check"></i>
+                    Apply Selected Changes
+                </button>
+            </div>
         </div>
+        ${renderDatasetDiff(diff, { selectable: true, rejected: pending.rejected })}
+    `;
+    
+    document.getElementById('csvUploadArea').style.display = 'none';
+    container.style.display = 'block';
+}
+
+function getDiffChangeIds(diff) {
+    return [
+        ...diff.added.map((person, i) => `add:${i}`),
+        ...diff.removed.map((person, i) => `remove:${i}`),
+        ...diff.changed.flatMap((entry, i) => entry.fields.map(change => `change:${i}:${change.field}`))
+    ];
+}
+
+function toggleDiffChange(id, accepted) {
+    const { rejected } = AppState.pendingImport;
+    if (accepted) {
+        rejected.delete(id);
+    } else {
+        rejected.add(id);
+    }
+    renderImportDiff();
+}
+
+function selectAllDiffChanges(accepted) {
+    const pending = AppState.pendingImport;
+    pending.rejected = accepted ? new Set() : new Set(getDiffChangeIds(pending.diff));
+    renderImportDiff();
+}
+
+/**
+ * Merges the accepted changes into the current data. Rows follow the
+ * uploaded file's order; people whose removal was rejected stay at the end.
+ */
+function mergeDiff(diff, rejected, newData) {
+    const addedIndex = new Map(diff.added.map((person, i) => [person, i]));
+    const changedIndex = new Map(diff.changed.map((entry, i) => [entry.after, i]));
+    const oldByKey = new Map(AppState.rawData.map(person => [getPersonKey(person), person]));
+    
+    const merged = [];
+    newData.forEach(person => {
+        if (addedIndex.has(person)) {
+            if (!rejected.has(`add:${addedIndex.get(person)}`)) {
+                merged.push({ ...person });
+            }
+            return;
+        }
+        
+        const before = oldByKey.get(getPersonKey(person));
+        const record = { ...before };
+        if (changedIndex.has(person)) {
+            const i = changedIndex.get(person);
+            diff.changed[i].fields.forEach(change => {
+                if (!rejected.has(`change:${i}:${change.field}`)) {
+                    record[change.field] = change.after;
+                }
+            });
+        }
+        merged.push(record);
+    });
+    
+    diff.removed.forEach((person, i) => {
+        if (rejected.has(`remove:${i}`)) {
+            merged.push({ ...person });
+        }
+    });
+    
+    return merged;
+}
+
+function mergeHeaders(newHeaders, oldHeaders) {
+    const keys = new Set(newHeaders.map(normalizeHeader));
+    return [...newHeaders, ...oldHeaders.filter(header => !keys.has(normalizeHeader(header)))];
+}
+
+function applyPendingImport() {
+    const pending = AppState.pendingImport;
+    const merged = mergeDiff(pending.diff, pending.rejected, pending.rows);
+    
+    if (merged.length === 0) {
+        showToast('The merge would leave no personnel; nothing was changed', 'error');
+        return;
+    }
+    
+    const applied = countDiffChanges(pending.diff) - pending.rejected.size;
+    commitPendingImport(merged, mergeHeaders(pending.headers, AppState.csvHeaders), `${applied} changes applied`);
+}
+
+function resetValidationReport() {
+    AppState.pendingImport = null;
+    AppState.pendingWorkbook = null;
+    AppState.columnMapping = null;
+    const container = document.getElementById('validationReport');
+    if (container) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+    }
+    const uploadArea = document.getElementById('csvUploadArea');
+    if (uploadArea) {
+        uploadArea.style.display = 'block';
+    }
+    const fileInput = document.getElementById('csvFileInput');
+    if (fileInput) {
+        fileInput.value = '';
+    }
+}
+
+// ================================
+// ENTITY MODEL
+// ================================
+/**
+ * Teams, institutions, projects, data sources and services arrive as free
+ * text. Every load canonicalizes them once: whitespace is collapsed,
+ * registered aliases are replaced by their canonical name, and spellings
+ * that differ only in case or accents become the most used one. The model
+ * built from the result gives each entity a stable id, and getEntityValues
+ * reads a person's entities from it instead of splitting strings again.
+ */
+const personEntities = new WeakMap(); // person -> { type: [canonical names] }
+
+function normalizeEntityName(value) {
+    return String(value).trim().replace(/\s+/g, ' ');
+}
+
+function getEntityKey(name) {
+    return foldText(normalizeEntityName(name));
+}
+
+function parseEntityField(person, type) {
+    const { field, multiple } = ENTITY_TYPES[type];
+    const value = person[field] || '';
+    return (multiple ? value.split(';') : [value]).map(normalizeEntityName).filter(Boolean);
+}
+
+function getEntityTypeByField(field) {
+    return Object.keys(ENTITY_TYPES).find(type => ENTITY_TYPES[type].field === field) || null;
+}
+
+/**
+ * Cleans an alias registry read from storage or a history version into
+ * { type: { variant: canonical } }, dropping unknown types and entries
+ * that map a name to itself.
+ */
+function normalizeAliases(aliases) {
+    const normalized = {};
+    Object.keys(ENTITY_TYPES).forEach(type => {
+        normalized[type] = {};
+        const entries = aliases && typeof aliases[type] === 'object' ? Object.entries(aliases[type]) : [];
+        entries.forEach(([variant, canonical]) => {
+            if (typeof canonical !== 'string') return;
+            const from = normalizeEntityName(variant);
+            const to = normalizeEntityName(canonical);
+            if (from && to && getEntityKey(from) !== getEntityKey(to)) {
+                normalized[type][from] = to;
+            }
+        });
+    });
+    return normalized;
+}
+
+function buildAliasIndex(aliases) {
+    const index = {};
+    Object.keys(ENTITY_TYPES).forEach(type => {
+        index[type] = new Map(Object.entries(aliases[type] || {}).map(([variant, canonical]) => 
+            [getEntityKey(variant), canonical]
+        ));
+    });
+    return index;
+}
+
+function resolveAlias(index, type, name) {
+    // Follow chains (a -> b -> c) but stop at a cycle
+    const seen = new Set();
+    let current = name;
+    while (index[type].has(getEntityKey(current)) && !seen.has(getEntityKey(current))) {
+        seen.add(getEntityKey(current));
+        current = index[type].get(getEntityKey(current));
+    }
+    return current;
+}
+
+function resolveEntityName(type, name) {
+    const canonical = resolveAlias(buildAliasIndex(AppState.aliases), type, normalizeEntityName(name));
+    const entity = findEntity(type, canonical);
+    return entity ? entity.name : canonical;
+}
+
+/**
+ * Rewrites the entity columns of `data` to canonical names in place and
+ * returns how many rows changed. Columns whose entities are already
+ * canonical keep their original text.
+ */
+function canonicalizeEntities(data, aliases = AppState.aliases) {
+    const index = buildAliasIndex(aliases);
+    const changedRows = new Set();
+    
+    Object.keys(ENTITY_TYPES).forEach(type => {
+        const { field, multiple } = ENTITY_TYPES[type];
+        const resolved = data.map(person => 
+            parseEntityField(person, type).map(name => resolveAlias(index, type, name))
+        );
+        
+        // Count the spellings of each name; the most used wins, ties go to the first seen
+        const spellings = new Map();
+        resolved.flat().forEach(name => {
+            const key = getEntityKey(name);
+            if (!spellings.has(key)) {
+                spellings.set(key, new Map());
+            }
+            const counts = spellings.get(key);
+            counts.set(name, (counts.get(name) || 0) + 1);
+        });
+        const canonical = new Map();
+        spellings.forEach((counts, key) => {
+            canonical.set(key, Array.from(counts).sort((a, b) => b[1] - a[1])[0][0]);
+        });
+        
+        data.forEach((person, index) => {
+            const names = [...new Set(resolved[index].map(name => canonical.get(getEntityKey(name))))];
+            const current = multiple ? splitTags(person[field]) : [(person[field] || '').trim()].filter(Boolean);
+            if (names.join('\n') !== current.join('\n')) {
+                person[field] = names.join(';');
+                changedRows.add(index);
+            }
+        });
+    });
+    
+    return changedRows.size;
+}
+
+function slugifyEntityName(name) {
+    return foldText(name).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'entity';
+}
+
+/**
+ * Builds { type: Map(name -> entity) } from canonicalized data, where an
+ * entity is { id, type, name, people }. Ids are `type:slug`, so they stay
+ * the same across reloads; names whose slugs collide get a numeric suffix.
+ */
+function buildEntityModel(data) {
+    const entities = {};
+    const usedIds = new Set();
+    Object.keys(ENTITY_TYPES).forEach(type => {
+        entities[type] = new Map();
+    });
+    
+    data.forEach(person => {
+        const links = {};
+        Object.keys(ENTITY_TYPES).forEach(type => {
+            links[type] = [...new Set(parseEntityField(person, type))];
+            links[type].forEach(name => {
+                if (!entities[type].has(name)) {
+                    const base = `${type}:${slugifyEntityName(name)}`;
+                    let id = base;
+                    for (let n = 2; usedIds.has(id); n++) {
+                        id = `${base}-${n}`;
+                    }
+                    usedIds.add(id);
+                    entities[type].set(name, { id, type, name, people: [] });
+                }
+                entities[type].get(name).people.push(person);
+            });
+        });
+        personEntities.set(person, links);
+    });
+    
+    return entities;
+}
+
+function findEntity(type, name) {
+    const entities = AppState.entities[type];
+    if (!entities) return null;
+    if (entities.has(name)) return entities.get(name);
+    const key = getEntityKey(name);
+    return Array.from(entities.values()).find(entity => getEntityKey(entity.name) === key) || null;
+}
+
+function findEntityById(id) {
+    const type = id.split(':')[0];
+    const entities = AppState.entities[type];
+    return entities ? Array.from(entities.values()).find(entity => entity.id === id) || null : null;
+}
+
+function getEntityAliases(type, name) {
+    const key = getEntityKey(name);
+    return Object.entries(AppState.aliases[type] || {})
+        .filter(([, canonical]) => getEntityKey(canonical) === key)
+        .map(([variant]) => variant);
+}
+
+// ================================
+// TAG ALIASES
+// ================================
+/**
+ * Adds `variant -> canonical` entries to an alias registry. An entry for
+ * the same variant spelled differently is replaced.
+ */
+function addAliases(aliases, type, variants, canonical) {
+    const target = normalizeEntityName(canonical);
+    aliases[type] = aliases[type] || {};
+    variants.forEach(variant => {
+        const from = normalizeEntityName(variant);
+        if (!from || getEntityKey(from) === getEntityKey(target)) return;
+        Object.keys(aliases[type])
+            .filter(existing => getEntityKey(existing) === getEntityKey(from))
+            .forEach(existing => delete aliases[type][existing]);
+        aliases[type][from] = target;
+    });
+}
+
+function showAliasModal() {
+    if (!requirePermission('edit')) return;
+    
+    const form = document.getElementById('aliasForm');
+    form.reset();
+    updateAliasOptions();
+    renderAliasList();
+    document.getElementById('aliasModal').classList.add('active');
+}
+
+function closeAliasModal() {
+    document.getElementById('aliasModal').classList.remove('active');
+}
+
+function updateAliasOptions() {
+    const type = document.getElementById('aliasForm').elements.type.value;
+    document.getElementById('aliasNameOptions').innerHTML = Array.from(AppState[ENTITY_TYPES[type].stateKey]).sort()
+        .map(name => `<option value="${escapeHtml(name)}">`).join('');
+}
+
+function renderAliasList() {
+    const container = document.getElementById('aliasList');
+    const rows = Object.keys(ENTITY_TYPES).flatMap(type => 
+        Object.entries(AppState.aliases[type] || {}).map(([variant, canonical]) => ({ type, variant, canonical }))
+    );
+    
+    // Near-duplicate spellings still in the data, offered as one-click merges
+    AppState.aliasSuggestions = findNearDuplicateTags(AppState.rawData)
+        .map(issue => ({ ...issue, type: getEntityTypeByField(issue.field) }));
+    
+    container.innerHTML = `
+        ${AppState.aliasSuggestions.length > 0 ? `
+            <div class="validation-block">
+                <h4>Possible duplicates in the current data</h4>
+                ${AppState.aliasSuggestions.map((issue, issueIndex) => `
+                    <div class="tag-issue">
+                        <span class="tag-issue-field">${ENTITY_TYPES[issue.type].label}:</span>
+                        ${issue.variants.map(v => `<span class="tag tag-more">${escapeHtml(v.value)} (${v.count})</span>`).join('')}
+                        <button class="btn-secondary" data-action="accept-alias-suggestion" data-index="${issueIndex}">
+                            <i class="fas fa-compress-alt"></i>
+                            Merge into ${escapeHtml(issue.suggestion)}
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+        ${rows.length === 0 ? '<p class="history-empty">No aliases yet</p>' : `
+            <div class="table-container">
+                <table class="data-table alias-table">
+                    <thead>
+                        <tr>
+                            <th>Type</th>
+                            <th>Variant</th>
+                            <th>Canonical name</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(({ type, variant, canonical }) => `
+                            <tr>
+                                <td>${ENTITY_TYPES[type].label}</td>
+                                <td>${escapeHtml(variant)}</td>
+                                <td>${renderEntityTag(resolveEntityName(type, canonical), type)}</td>
+                                <td>
+                                    <button class="btn-icon" data-action="delete-alias" data-type="${type}" data-name="${escapeHtml(variant)}" title="Delete">
+                                        <i class="fas fa-trash"></i>
+                                    </button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `}
     `;
+}
+
+/**
+ * Applies a changed alias registry to the loaded data and saves both as a
+ * new version.
+ */
+function saveAliases(message) {
+    const changed = canonicalizeEntities(AppState.rawData);
+    saveEditedData(AppState.rawData, 'Tag aliases');
+    renderAliasList();
+    updateAliasOptions();
+    showToast(changed > 0 ? `${message}; ${changed} records updated` : message, 'success');
+}
+
+function submitAliasForm(e) {
+    e.preventDefault();
+    if (!requirePermission('edit')) return;
+    
+    const form = e.target;
+    const type = form.elements.type.value;
+    const variant = normalizeEntityName(form.elements.variant.value);
+    const canonical = normalizeEntityName(form.elements.canonical.value);
+    if (!variant || !canonical) {
+        showToast('Enter both the variant and the name it stands for', 'error');
+        return;
+    }
+    if (getEntityKey(variant) === getEntityKey(canonical)) {
+        showToast('Names that differ only in case or spacing are merged automatically', 'info');
+        return;
+    }
+    if (getEntityKey(resolveAlias(buildAliasIndex(AppState.aliases), type, canonical)) === getEntityKey(variant)) {
+        showToast(`"${canonical}" is already an alias of "${variant}"`, 'error');
+        return;
+    }
+    
+    addAliases(AppState.aliases, type, [variant], canonical);
+    form.elements.variant.value = '';
+    form.elements.canonical.value = '';
+    saveAliases(`${variant} is now recorded as ${canonical}`);
+}
+
+function acceptAliasSuggestion(index) {
+    if (!requirePermission('edit')) return;
+    
+    const issue = AppState.aliasSuggestions[index];
+    if (!issue) return;
+    addAliases(AppState.aliases, issue.type, issue.variants.map(v => v.value), issue.suggestion);
+    saveAliases(`Merged ${issue.variants.length} spellings into ${issue.suggestion}`);
+}
+
+function deleteAlias(type, variant) {
+    if (!requirePermission('edit')) return;
+    if (!AppState.aliases[type] || !(variant in AppState.aliases[type])) return;
+    
+    delete AppState.aliases[type][variant];
+    // Records already merged keep the canonical name
+    saveAliases(`Removed the alias ${variant}`);
+}
+
+// ================================
+// ENTITY METADATA
+// ================================
+/**
+ * Optional companion CSVs describe projects, data sources and services
+ * beyond their names, one row per entity. Rows are matched on their `name`
+ * column through the alias registry and case folding, like person rows.
+ * Every other column is shown in the detail modal; the type's `cardFields`
+ * also appear on its card.
+ */
+const METADATA_LABELS = {
+    pi: 'PI',
+    funding: 'Funding',
+    start_date: 'Start date',
+    end_date: 'End date',
+    location: 'Location',
+    sensitivity: 'Sensitivity',
+    access_process: 'Access process',
+    url: 'URL',
+    data_sources: 'Data sources',
+    classification: 'Classification',
+    dua: 'DUA',
+    dua_expires: 'DUA expires',
+    irb: 'IRB',
+    irb_expires: 'IRB expires'
+};
+
+function getMetadataLabel(key) {
+    if (METADATA_LABELS[key]) return METADATA_LABELS[key];
+    const label = key.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+function parseEntityMetadata(text, fileName) {
+    const rows = parseCSV(text);
+    const columns = AppState.csvHeaders.map(normalizeHeader);
+    if (!columns.includes('name')) {
+        throw new Error(`${fileName} has no name column`);
+    }
+    return {
+        fileName,
+        columns: columns.filter(key => key && key !== 'name'),
+        rows: rows.filter(row => row.name)
+    };
+}
+
+/**
+ * Fetches the companion files that sit next to the personnel CSV. A missing
+ * file is skipped quietly; one that can't be parsed is skipped with a warning.
+ */
+async function loadEntityMetadataFiles() {
+    const metadata = {};
+    // Parsing sets csvHeaders; keep the personnel ones
+    const currentHeaders = AppState.csvHeaders;
+    
+    for (const [type, config] of Object.entries(ENTITY_TYPES)) {
+        if (!config.metadataFile) continue;
+        try {
+            const response = await fetch(config.metadataFile);
+            if (!response.ok) continue;
+            const text = decodeCSVBytes(await response.arrayBuffer());
+            if (text.trim()) {
+                metadata[type] = parseEntityMetadata(text, config.metadataFile);
+            }
+        } catch (error) {
+            console.warn(`Could not load ${config.metadataFile}:`, error.message);
+        }
+    }
+    
+    AppState.csvHeaders = currentHeaders;
+    return metadata;
+}
+
+/**
+ * Attaches each metadata row to its entity as `entity.metadata`. Returns,
+ * per type with a companion file, the entities without a row, the rows
+ * that match no entity and the rows repeating an entity already matched.
+ */
+function joinEntityMetadata(entities, metadata) {
+    const issues = {};
+    const index = buildAliasIndex(AppState.aliases);
+    
+    Object.entries(metadata).forEach(([type, { rows }]) => {
+        if (!entities[type]) return;
+        const byKey = new Map(Array.from(entities[type].values(), entity => [getEntityKey(entity.name), entity]));
+        const unreferenced = [];
+        const duplicates = [];
+        
+        rows.forEach(row => {
+            const entity = byKey.get(getEntityKey(resolveAlias(index, type, normalizeEntityName(row.name))));
+            if (!entity) {
+                unreferenced.push(row.name);
+            } else if (entity.metadata) {
+                duplicates.push(row.name);
+            } else {
+                entity.metadata = row;
+            }
+        });
+        
+        const missing = Array.from(entities[type].values()).filter(entity => !entity.metadata).map(entity => entity.name);
+        issues[type] = { missing, unreferenced, duplicates };
+    });
+    
+    return issues;
+}
+
+function getEntityMetadata(type, name) {
+    const entity = findEntity(type, name);
+    return entity && entity.metadata ? entity.metadata : null;
+}
+
+function countMetadataIssues(issues) {
+    return issues.missing.length + issues.unreferenced.length + issues.duplicates.length;
+}
+
+function reportEntityMetadataIssues() {
+    const problems = [];
+    Object.entries(AppState.metadataIssues).forEach(([type, issues]) => {
+        const { fileName } = AppState.entityMetadata[type];
+        issues.missing.forEach(name => console.warn(`${ENTITY_TYPES[type].label} "${name}" has no entry in ${fileName}`));
+        issues.unreferenced.forEach(name => console.warn(`${fileName} lists "${name}", which nobody in the personnel data uses`));
+        issues.duplicates.forEach(name => console.warn(`${fileName} lists "${name}" more than once; the first entry is used`));
+        if (countMetadataIssues(issues) > 0) {
+            problems.push(`${fileName} (${countMetadataIssues(issues)})`);
+        }
+    });
+    
+    AppState.accessIssues.forEach(issue => console.warn(`${DATA_ACCESS_FILE}: ${issue}`));
+    if (AppState.accessIssues.length > 0) {
+        problems.push(`${DATA_ACCESS_FILE} (${AppState.accessIssues.length})`);
+    }
+    
+    if (problems.length > 0) {
+        showToast(`Companion file problems: ${problems.join(', ')}. See the matching views for details.`, 'warning');
+    }
+}
+
+function renderEntityMetadataIssues(type) {
+    const issues = AppState.metadataIssues[type];
+    if (!issues || countMetadataIssues(issues) === 0) {
+        return '';
+    }
+    
+    const { fileName } = AppState.entityMetadata[type];
+    const { label, plural } = ENTITY_TYPES[type];
+    const missingLabel = issues.missing.length === 1 ? `1 ${label.toLowerCase()} has` : `${issues.missing.length} ${plural.toLowerCase()} have`;
+    const unreferencedLabel = issues.unreferenced.length === 1 ? '1 entry matches' : `${issues.unreferenced.length} entries match`;
+    return `
+        <div class="org-chart-issues metadata-issues">
+            <h4><i class="fas fa-exclamation-triangle"></i> ${escapeHtml(fileName)} does not match the personnel data</h4>
+            <ul>
+                ${issues.missing.length > 0 ? 
+                    `<li>${missingLabel} no entry: ${escapeHtml(issues.missing.join(', '))}</li>` : ''}
+                ${issues.unreferenced.length > 0 ? 
+                    `<li>${unreferencedLabel} nobody: ${escapeHtml(issues.unreferenced.join(', '))}</li>` : ''}
+                ${issues.duplicates.length > 0 ? 
+                    `<li>Listed more than once, first entry used: ${escapeHtml(issues.duplicates.join(', '))}</li>` : ''}
+            </ul>
+        </div>
+    `;
+}
+
+function renderMetadataValue(value, links) {
+    // Only web addresses become links; anything else stays text
+    if (links && /^https?:\/\//i.test(value)) {
+        return `<a href="${escapeHtml(value)}" target="_blank" rel="noopener noreferrer">${escapeHtml(value)}</a>`;
+    }
+    return escapeHtml(value);
+}
+
+function renderEntityMetadataCard(type, metadata) {
+    const rows = (ENTITY_TYPES[type].cardFields || []).filter(key => metadata && metadata[key]);
+    if (rows.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="entity-meta">
+            ${rows.map(key => `
+                <div class="entity-meta-row">
+                    <span class="entity-meta-label">${escapeHtml(getMetadataLabel(key))}</span>
+                    <span>${renderMetadataValue(metadata[key], false)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderEntityMetadataDetails(type, metadata) {
+    const source = AppState.entityMetadata[type];
+    if (!source) {
+        return '';
+    }
+    if (!metadata) {
+        return `<p class="entity-aliases"><i class="fas fa-info-circle"></i> No entry in ${escapeHtml(source.fileName)}</p>`;
+    }
+    
+    const rows = source.columns.filter(key => metadata[key]);
+    return rows.length === 0 ? '' : `
+        <div class="person-details-modal entity-metadata">
+            ${rows.map(key => `
+                <div class="detail-row">
+                    <span class="detail-label">${escapeHtml(getMetadataLabel(key))}:</span>
+                    <span class="detail-value">${getEntityTypeByField(key) ? 
+                        renderEntityTags(splitTags(metadata[key]).map(value => resolveEntityName(getEntityTypeByField(key), value)), getEntityTypeByField(key)) : 
+                        renderMetadataValue(metadata[key], true)}</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// ================================
+// DATA GOVERNANCE
+// ================================
+/**
+ * Governance fields come from data_sources.csv (`classification`, `dua`,
+ * `dua_expires`, `irb`, `irb_expires`) and data_access.csv, which gives a
+ * person's role on a source they list: one row per `email`, `data_source`
+ * and `role`. People without a row are users. A `data_sources` column
+ * in projects.csv declares the sources each project uses; access on a
+ * source that none of a person's projects declares is flagged.
+ */
+const DATA_ACCESS_FILE = 'data_access.csv';
+const ACCESS_ROLES = ['owner', 'steward', 'user'];
+const DEFAULT_ACCESS_ROLE = 'user';
+const CLASSIFICATIONS = {
+    public: { label: 'Public' },
+    internal: { label: 'Internal' },
+    phi: { label: 'PHI/PII', sensitive: true },
+    restricted: { label: 'Restricted', sensitive: true }
+};
+const CLASSIFICATION_ALIASES = { phipii: 'phi', pii: 'phi', phi: 'phi' };
+const AGREEMENTS = [
+    { key: 'dua', label: 'DUA' },
+    { key: 'irb', label: 'IRB' }
+];
+// Sensitive sources with more people than this are flagged
+const SENSITIVE_USER_LIMIT = 5;
+const AGREEMENT_WARNING_DAYS = 30;
+
+function parseClassification(value) {
+    const key = foldText(value || '').replace(/[^a-z]/g, '');
+    if (!key) return null;
+    return CLASSIFICATIONS[key] ? key : CLASSIFICATION_ALIASES[key] || null;
+}
+
+function parseAgreementDate(value) {
+    const text = (value || '').trim();
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(text);
+    return text && !isNaN(date) ? date : null;
+}
+
+/**
+ * DUA and IRB references of one source with their expiry: `expired`,
+ * `expiring` within AGREEMENT_WARNING_DAYS, `valid`, or `open` when no
+ * readable expiry date is given.
+ */
+function getAgreements(metadata, today = new Date()) {
+    if (!metadata) return [];
+    const soon = new Date(today.getTime() + AGREEMENT_WARNING_DAYS * 24 * 60 * 60 * 1000);
+    
+    return AGREEMENTS.filter(({ key }) => metadata[key] || metadata[`${key}_expires`]).map(({ key, label }) => {
+        const expires = parseAgreementDate(metadata[`${key}_expires`]);
+        let status = 'open';
+        if (expires) {
+            status = expires < today ? 'expired' : expires < soon ? 'expiring' : 'valid';
+        }
+        return { label, reference: metadata[key] || '', expiresText: metadata[`${key}_expires`] || '', expires, status };
+    });
+}
+
+async function loadDataAccessFile() {
+    // Parsing sets csvHeaders; keep the personnel ones
+    const currentHeaders = AppState.csvHeaders;
+    try {
+        const response = await fetch(DATA_ACCESS_FILE);
+        if (!response.ok) return null;
+        const text = decodeCSVBytes(await response.arrayBuffer());
+        if (!text.trim()) return null;
+        const rows = parseCSV(text);
+        if (!AppState.csvHeaders.map(normalizeHeader).includes('data_source')) {
+            throw new Error(`${DATA_ACCESS_FILE} has no data_source column`);
+        }
+        return { fileName: DATA_ACCESS_FILE, rows };
+    } catch (error) {
+        console.warn(`Could not load ${DATA_ACCESS_FILE}:`, error.message);
+        return null;
+    } finally {
+        AppState.csvHeaders = currentHeaders;
+    }
+}
+
+/**
+ * Resolves data_access.csv rows to people and sources. Returns the roles
+ * as Map(person -> Map(source name -> role)) and a message for each row
+ * that names an unknown person, source or role.
+ */
+function joinDataAccess(data, access) {
+    const roles = new Map();
+    const issues = [];
+    if (!access) return { roles, issues };
+    
+    const byKey = new Map(data.map(person => [getPersonKey(person), person]));
+    const byName = new Map(data.map(person => [(person.name || '').trim().toLowerCase(), person]));
+    const index = buildAliasIndex(AppState.aliases);
+    
+    access.rows.forEach(row => {
+        const line = row.sourceLine ? `Line ${row.sourceLine}: ` : '';
+        const person = byKey.get((row.email || '').trim().toLowerCase()) || byName.get((row.name || '').trim().toLowerCase());
+        const source = findEntity('dataSource', resolveAlias(index, 'dataSource', normalizeEntityName(row.data_source || '')));
+        const role = (row.role || '').trim().toLowerCase();
+        
+        if (!person) {
+            issues.push(`${line}${row.email || row.name || 'a row without an email'} is not in the personnel data`);
+        } else if (!source || !getEntityValues(person, 'dataSource').includes(source.name)) {
+            issues.push(`${line}${person.name} does not list ${row.data_source || 'a data source'} in the personnel data`);
+        } else if (!ACCESS_ROLES.includes(role)) {
+            issues.push(`${line}"${row.role}" is not a role; use ${ACCESS_ROLES.join(', ')}`);
+        } else {
+            if (!roles.has(person)) {
+                roles.set(person, new Map());
+            }
+            roles.get(person).set(source.name, role);
+        }
+    });
+    
+    return { roles, issues };
+}
+
+function getAccessRole(person, sourceName) {
+    const roles = AppState.accessRoles.get(person);
+    return (roles && roles.get(sourceName)) || DEFAULT_ACCESS_ROLE;
+}
+
+/**
+ * Data sources declared by each project in projects.csv, as folded names.
+ * Projects without a declaration are left out.
+ */
+function getDeclaredProjectSources() {
+    const declared = new Map();
+    const index = buildAliasIndex(AppState.aliases);
+    (AppState.entities.project ? Array.from(AppState.entities.project.values()) : []).forEach(project => {
+        if (project.metadata && project.metadata.data_sources) {
+            declared.set(project.name, new Set(splitTags(project.metadata.data_sources)
+                .map(name => getEntityKey(resolveAlias(index, 'dataSource', normalizeEntityName(name))))));
+        }
+    });
+    return declared;
+}
+
+/**
+ * Governance status of every data source across the whole roster,
+ * ignoring search and filters, plus the problems worth highlighting.
+ */
+function buildGovernanceReport(today = new Date()) {
+    const declared = getDeclaredProjectSources();
+    const sources = Array.from(AppState.entities.dataSource ? AppState.entities.dataSource.values() : []).map(entity => {
+        const classification = parseClassification(entity.metadata && entity.metadata.classification);
+        return {
+            name: entity.name,
+            people: entity.people,
+            classification,
+            agreements: getAgreements(entity.metadata, today),
+            overLimit: Boolean(classification && CLASSIFICATIONS[classification].sensitive) && entity.people.length > SENSITIVE_USER_LIMIT
+        };
+    });
+    
+    // Access is outside a person's projects when they declare sources and none is this one
+    const outsideProjects = [];
+    if (declared.size > 0) {
+        sources.forEach(source => {
+            const key = getEntityKey(source.name);
+            source.people.forEach(person => {
+                const projects = getEntityValues(person, 'project');
+                const known = projects.filter(project => declared.has(project));
+                if (projects.length === 0 || (known.length > 0 && !known.some(project => declared.get(project).has(key)))) {
+                    outsideProjects.push({ person, source: source.name, role: getAccessRole(person, source.name) });
+                }
+            });
+        });
+    }
+    
+    return {
+        sources,
+        expired: sources.flatMap(source => source.agreements
+            .filter(agreement => agreement.status === 'expired').map(agreement => ({ source: source.name, agreement }))),
+        expiring: sources.flatMap(source => source.agreements
+            .filter(agreement => agreement.status === 'expiring').map(agreement => ({ source: source.name, agreement }))),
+        overLimit: sources.filter(source => source.overLimit),
+        outsideProjects,
+        checksProjects: declared.size > 0
+    };
+}
+
+function getSourceGovernance(report, name) {
+    return report.sources.find(source => source.name === name) || null;
+}
+
+function hasGovernanceProblem(report, name) {
+    const source = getSourceGovernance(report, name);
+    return Boolean(source) && (source.overLimit || source.agreements.some(agreement => agreement.status === 'expired') ||
+        report.outsideProjects.some(entry => entry.source === name));
+}
+
+function renderClassificationBadge(classification) {
+    if (!classification) return '';
+    return `<span class="classification-badge classification-${classification}">${escapeHtml(CLASSIFICATIONS[classification].label)}</span>`;
+}
+
+function formatAgreement(agreement) {
+    // References often repeat the label already ("IRB 20-1")
+    const { label, reference } = agreement;
+    return foldText(reference).startsWith(foldText(label)) ? reference : `${label} ${reference}`.trim();
+}
+
+function renderAgreementBadge(agreement) {
+    const text = formatAgreement(agreement);
+    const expiry = agreement.expiresText ? (agreement.status === 'expired' ? ` expired ${agreement.expiresText}` : ` until ${agreement.expiresText}`) : '';
+    return `<span class="agreement-badge agreement-${agreement.status}">${escapeHtml(text + expiry)}</span>`;
+}
+
+function renderAccessRoleBadge(role) {
+    return `<span class="access-role access-role-${role}">${escapeHtml(role)}</span>`;
+}
+
+function renderGovernancePanel(report) {
+    const problems = [
+        ...report.expired.map(({ source, agreement }) => 
+            `${escapeHtml(source)}: ${escapeHtml(formatAgreement(agreement))} expired ${escapeHtml(agreement.expiresText)}`),
+        ...report.overLimit.map(source => 
+            `${escapeHtml(source.name)} is ${escapeHtml(CLASSIFICATIONS[source.classification].label)} but ${source.people.length} people hold access (limit ${SENSITIVE_USER_LIMIT})`),
+        ...report.outsideProjects.map(({ person, source, role }) => 
+            `${escapeHtml(person.name)} holds ${escapeHtml(role)} access to ${escapeHtml(source)} outside their projects`),
+        ...AppState.accessIssues.map(issue => `${escapeHtml(DATA_ACCESS_FILE)}: ${escapeHtml(issue)}`)
+    ];
+    const expiring = report.expiring.map(({ source, agreement }) => 
+        `${escapeHtml(source)}: ${escapeHtml(formatAgreement(agreement))} expires ${escapeHtml(agreement.expiresText)}`);
+    
+    if (problems.length === 0 && expiring.length === 0) {
+        return '';
+    }
+    
+    return `
+        <div class="org-chart-issues governance-issues">
+            <h4><i class="fas fa-shield-alt"></i> Data governance</h4>
+            <ul>
+                ${problems.map(problem => `<li>${problem}</li>`).join('')}
+                ${expiring.map(item => `<li>Expiring soon: ${item}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function renderDataSourceGovernance(name) {
+    const report = buildGovernanceReport();
+    const source = getSourceGovernance(report, name);
+    if (!source || (!source.classification && source.agreements.length === 0 && !source.overLimit &&
+            !report.outsideProjects.some(entry => entry.source === name))) {
+        return '';
+    }
+    
+    const outside = report.outsideProjects.filter(entry => entry.source === name);
+    return `
+        <div class="governance-details">
+            <div class="governance-badges">
+                ${renderClassificationBadge(source.classification)}
+                ${source.agreements.map(renderAgreementBadge).join('')}
+            </div>
+            ${source.overLimit ? `
+                <div class="risk-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${source.people.length} people hold access to this ${escapeHtml(CLASSIFICATIONS[source.classification].label)} source; the limit is ${SENSITIVE_USER_LIMIT}.
+                </div>
+            ` : ''}
+            ${outside.length > 0 ? `
+                <div class="risk-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Access outside their projects: ${outside.map(({ person }) => escapeHtml(person.name)).join(', ')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// ================================
+// DATA EXTRACTION
+// ================================
+const personIds = new WeakMap();
+
+function indexPeople(data) {
+    AppState.personById = new Map();
+    data.forEach((person, index) => {
+        const id = `p${index}`;
+        personIds.set(person, id);
+        AppState.personById.set(id, person);
+    });
+}
+
+function getPersonId(person) {
+    return personIds.get(person) || '';
+}
+
+function extractUniqueValues(data) {
+    // Canonical entities with stable ids; the name sets feed filters and suggestions
+    AppState.entities = buildEntityModel(data);
+    Object.entries(ENTITY_TYPES).forEach(([type, config]) => {
+        AppState[config.stateKey] = new Set(AppState.entities[type].keys());
+    });
+    AppState.metadataIssues = joinEntityMetadata(AppState.entities, AppState.entityMetadata);
+    const access = joinDataAccess(data, AppState.dataAccess);
+    AppState.accessRoles = access.roles;
+    AppState.accessIssues = access.issues;
+    
+    // Reporting hierarchy
+    AppState.hierarchy = buildHierarchy(data);
+    
+    // Ids used by data-person-id attributes in rendered views
+    indexPeople(data);
+    
+    // Full-text search
+    AppState.searchIndex = buildSearchIndex(data);
+}
+
+// ================================
+// REPORTING HIERARCHY
+// ================================
+function getPersonKey(person) {
+    return (person.email || person.name || '').trim().toLowerCase();
+}
+
+function getManagerRef(person) {
+    return (person.reports_to || person.manager || '').trim();
+}
+
+function buildHierarchy(data) {
+    const byKey = new Map();
+    const byName = new Map();
+    data.forEach(person => {
+        byKey.set(getPersonKey(person), person);
+        if (person.name) {
+            byName.set(person.name.trim().toLowerCase(), person);
+        }
+    });
+    
+    // Resolve each person's manager (by email, falling back to name)
+    const parentOf = new Map();
+    const orphans = [];
+    let linkCount = 0;
+    data.forEach(person => {
+        const ref = getManagerRef(person);
+        if (!ref) return;
+        
+        const manager = byKey.get(ref.toLowerCase()) || byName.get(ref.toLowerCase());
+        if (!manager) {
+            orphans.push({ person, manager: ref });
+        } else if (manager === person) {
+            parentOf.set(getPersonKey(person), person);
+        } else {
+            parentOf.set(getPersonKey(person), manager);
+            linkCount++;
+        }
+    });
+    
+    // Detect cycles by walking each chain upwards
+    const cycles = [];
+    const state = new Map(); // key -> 'visiting' | 'done'
+    data.forEach(start => {
+        const path = [];
+        let current = start;
+        while (current && !state.has(getPersonKey(current))) {
+            state.set(getPersonKey(current), 'visiting');
+            path.push(current);
+            current = parentOf.get(getPersonKey(current));
+        }
+        if (current && state.get(getPersonKey(current)) === 'visiting') {
+            const cycle = path.slice(path.indexOf(current));
+            cycles.push(cycle);
+            // Break the cycle at its first member so the tree stays renderable
+            parentOf.delete(getPersonKey(cycle[0]));
+        }
+        path.forEach(p => state.set(getPersonKey(p), 'done'));
+    });
+    
+    // Build children lists and roots
+    const children = new Map();
+    const roots = [];
+    data.forEach(person => {
+        const manager = parentOf.get(getPersonKey(person));
+        if (manager) {
+            const key = getPersonKey(manager);
+            if (!children.has(key)) children.set(key, []);
+            children.get(key).push(person);
+        } else {
+            roots.push(person);
+        }
+    });
+    
+    return { roots, children, parentOf, cycles, orphans, linkCount };
+}
+
+function reportHierarchyIssues() {
+    const hierarchy = AppState.hierarchy;
+    if (!hierarchy) return;
+    
+    hierarchy.cycles.forEach(cycle => {
+        console.warn('Reporting cycle detected:', cycle.map(p => p.name).join(' → '));
+    });
+    hierarchy.orphans.forEach(({ person, manager }) => {
+        console.warn(`${person.name} reports to unknown manager "${manager}"`);
+    });
+    
+    const problems = [];
+    if (hierarchy.cycles.length > 0) {
+        problems.push(`${hierarchy.cycles.length} reporting cycle(s)`);
+    }
+    if (hierarchy.orphans.length > 0) {
+        problems.push(`${hierarchy.orphans.length} unknown manager(s)`);
+    }
+    if (problems.length > 0) {
+        showToast(`Org chart: ${problems.join(', ')} found. See the Org Chart view for details.`, 'warning');
+    }
+}
+
+// ================================
+// UI UPDATES
+// ================================
+function showDashboard() {
+    document.getElementById('mainDashboard').style.display = 'block';
+    const importSection = document.getElementById('dataImportSection');
+    if (importSection) {
+        importSection.style.display = 'none';
+    }
+}
+
+function showImportSection() {
+    if (!requirePermission('upload')) return;
+    document.getElementById('dataImportSection').style.display = 'block';
+    document.getElementById('mainDashboard').style.display = 'none';
+}
+
+function hideImportSection() {
+    document.getElementById('dataImportSection').style.display = 'none';
+    document.getElementById('mainDashboard').style.display = 'block';
+    resetValidationReport();
+}
+
+function updateDataInfoBar(message) {
+    AppState.dataInfoMessage = message;
+    const dataInfoText = document.getElementById('dataInfoText');
+    if (dataInfoText) {
+        const version = AppState.activeVersion;
+        dataInfoText.textContent = version ? 
+            `${message} • Active version: v${version.id} (${version.source})` : message;
+    }
+    
+    const dataInfoActions = document.getElementById('dataInfoActions');
+    if (dataInfoActions) {
+        const report = AppState.loadReport;
+        dataInfoActions.innerHTML = report ? `
+            <button class="data-info-action" data-action="review-skipped-rows" data-requires="upload" ${can('upload') ? '' : 'hidden'}>
+                <i class="fas fa-exclamation-triangle"></i>
+                Review ${report.skippedCount} skipped ${report.skippedCount === 1 ? 'row' : 'rows'}
+            </button>
+        ` : '';
+    }
+}
+
+/**
+ * Opens the rows that failed validation during auto-load in the import
+ * section's validation report, where they can be fixed and imported.
+ */
+async function reviewSkippedRows() {
+    if (!requirePermission('upload')) return;
+    const { fileName, csvText } = AppState.loadReport;
+    
+    showImportSection();
+    try {
+        const { data, headers } = await parseImportRows(() => parseCSV(csvText));
+        startPendingImport(data, headers, fileName);
+    } catch (error) {
+        showToast(`Error reading ${fileName}: ${error.message}`, 'error');
+    }
+}
+
+function updateStatistics() {
+    // Basic counts
+    document.getElementById('totalPersonnel').textContent = AppState.rawData.length;
+    document.getElementById('totalTeams').textContent = AppState.teams.size;
+    document.getElementById('totalInstitutions').textContent = AppState.institutions.size;
+    document.getElementById('totalProjects').textContent = AppState.projects.size;
+    document.getElementById('totalDataSources').textContent = AppState.dataSources.size;
+    document.getElementById('totalServices').textContent = AppState.services.size;
+}
+
+// ================================
+// VIEW MANAGEMENT
+// ================================
+function switchView(view) {
+    AppState.currentView = view;
+    
+    // Update tab active states
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    
+    // Update view content
+    document.querySelectorAll('.view-content').forEach(content => {
+        content.classList.remove('active');
+    });
+    
+    // Map view names to element IDs
+    const viewMap = {
+        'data-sources': 'dataSourcesView'
+    };
+    
+    const viewElementId = viewMap[view] || `${view}View`;
+    const viewElement = document.getElementById(viewElementId);
+    
+    if (viewElement) {
+        viewElement.classList.add('active');
+    }
+    
+    renderCurrentView();
+    updateUrlState();
+}
+
+function renderCurrentView() {
+    if (!AppState.hasData) {
+        return;
+    }
+    
+    switch (AppState.currentView) {
+        case 'grid':
+            renderGridView();
+            break;
+        case 'table':
+            renderTableView();
+            break;
+        case 'org':
+            renderOrgChartView();
+            break;
+        case 'teams':
+            renderTeamsView();
+            break;
+        case 'institutions':
+            renderInstitutionsView();
+            break;
+        case 'projects':
+            renderProjectsView();
+            break;
+        case 'data-sources':
+            renderDataSourcesView();
+            break;
+        case 'services':
+            renderServicesView();
+            break;
+        case 'network':
+            renderNetworkView();
+            break;
+        case 'analytics':
+            renderAnalyticsView();
+            break;
+        case 'risks':
+            renderRisksView();
+            break;
+        case 'matrix':
+            renderMatrixView();
+            break;
+    }
+}
+
+// ================================
+// GRID VIEW
+// ================================
+function renderGridView() {
+    const container = document.getElementById('personnelGrid');
+    const data = AppState.filteredData;
+    
+    if (data.length === 0) {
+        container.innerHTML = '<p style="text-align: center; color: var(--gray-500);">No personnel data to display</p>';
+        return;
+    }
+    
+    container.innerHTML = data.map(person => {
+        const initials = getInitials(person.name);
+        const projects = getEntityValues(person, 'project');
+        const dataSources = getEntityValues(person, 'dataSource');
+        const status = person.status || 'active';
+        
+        return `
+            <div class="person-card" data-action="show-person" data-person-id="${getPersonId(person)}">
+                <div class="person-header">
+                    <div class="person-avatar">${escapeHtml(initials)}</div>
+                    <div class="person-info">
+                        <h3>${highlightText(person.name)}</h3>
+                        <p>${highlightText(person.role)}</p>
+                    </div>
+                </div>
+                <div class="person-details">
+                    <div class="detail-row">
+                        <span class="detail-label">Email:</span>
+                        <span class="detail-value">${highlightText(person.email)}</span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Team:</span>
+                        <span class="detail-value">
+                            ${renderEntityTags(getEntityValues(person, 'team'), 'team', { highlight: true })}
+                        </span>
+                    </div>
+                    ${person.institution ? `
+                        <div class="detail-row">
+                            <span class="detail-label">Institution:</span>
+                            <span class="detail-value">${renderEntityTags(getEntityValues(person, 'institution'), 'institution', { highlight: true })}</span>
+                        </div>
+                    ` : ''}
+                    <div class="detail-row">
+                        <span class="detail-label">Projects:</span>
+                        <span class="detail-value">
+                            ${projects.length > 0 ? renderEntityTags(projects.slice(0, 2), 'project', { highlight: true }) : '<span style="color: var(--gray-400);">None</span>'}
+                            ${projects.length > 2 ? `<span class="tag tag-more" title="Show all projects">+${projects.length - 2} more</span>` : ''}
+                        </span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Data Sources:</span>
+                        <span class="detail-value">
+                            ${dataSources.length > 0 ? renderEntityTags(dataSources.slice(0, 2), 'dataSource', { highlight: true }) : '<span style="color: var(--gray-400);">None</span>'}
+                            ${dataSources.length > 2 ? `<span class="tag tag-more" title="Show all data sources">+${dataSources.length - 2} more</span>` : ''}
+                        </span>
+                    </div>
+                    <div class="detail-row">
+                        <span class="detail-label">Status:</span>
+                        <span class="detail-value">
+                            ${renderStatusBadge(status)}
+                        </span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// ================================
+// TABLE VIEW
+// ================================
+function renderTableView() {
+    const tbody = document.getElementById('personnelTableBody');
+    const data = paginateData(AppState.filteredData);
+    
+    if (data.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="10" style="text-align: center; color: var(--gray-500);">No personnel data to display</td></tr>';
+        renderPagination();
+        return;
+    }
+    
+    tbody.innerHTML = data.map(person => `
+        <tr>
+            <td><strong>${highlightText(person.name)}</strong></td>
+            <td>${highlightText(person.email)}</td>
+            <td>${highlightText(person.role)}</td>
+            <td>${renderEntityTags(getEntityValues(person, 'team'), 'team', { highlight: true }) || '-'}</td>
+            <td>${renderEntityTags(getEntityValues(person, 'institution'), 'institution', { highlight: true }) || '-'}</td>
+            <td>${renderEntityTags(getEntityValues(person, 'project'), 'project', { highlight: true }) || '-'}</td>
+            <td>${renderEntityTags(getEntityValues(person, 'dataSource'), 'dataSource', { highlight: true }) || '-'}</td>
+            <td>${renderEntityTags(getEntityValues(person, 'service'), 'service', { highlight: true }) || '-'}</td>
+            <td>${renderStatusBadge(person.status || 'active')}</td>
+            <td>
+                <button class="btn-icon" data-action="show-person" data-person-id="${getPersonId(person)}" title="View Details">
+                    <i class="fas fa-eye"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+    
+    renderPagination();
+    
+    // Add sort functionality to headers
+    document.querySelectorAll('.data-table th[data-sort]').forEach(th => {
+        th.style.cursor = 'pointer';
+        th.onclick = () => sortTable(th.dataset.sort);
+    });
+}
+
+function paginateData(data) {
+    const start = (AppState.currentPage - 1) * AppState.itemsPerPage;
+    const end = start + AppState.itemsPerPage;
+    return data.slice(start, end);
+}
+
+function renderPagination() {
+    const container = document.getElementById('pagination');
+    const totalPages = Math.ceil(AppState.filteredData.length / AppState.itemsPerPage);
+    
+    if (totalPages <= 1) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    let html = `
+        <button class="page-btn" data-action="change-page" data-page="${AppState.currentPage - 1}" 
+                ${AppState.currentPage === 1 ? 'disabled' : ''}>
+            <i class="fas fa-chevron-left"></i>
+        </button>
+    `;
+    
+    // Smart pagination
+    const maxButtons = 5;
+    let startPage = Math.max(1, AppState.currentPage - 2);
+    let endPage = Math.min(totalPages, startPage + maxButtons - 1);
+    
+    if (endPage - startPage < maxButtons - 1) {
+        startPage = Math.max(1, endPage - maxButtons + 1);
+    }
+    
+    if (startPage > 1) {
+        html += `<button class="page-btn" data-action="change-page" data-page="1">1</button>`;
+        if (startPage > 2) html += `<span>...</span>`;
+    }
+    
+    for (let i = startPage; i <= endPage; i++) {
+        html += `
+            <button class="page-btn ${i === AppState.currentPage ? 'active' : ''}" 
+                    data-action="change-page" data-page="${i}">${i}</button>
+        `;
+    }
+    
+    if (endPage < totalPages) {
+        if (endPage < totalPages - 1) html += `<span>...</span>`;
+        html += `<button class="page-btn" data-action="change-page" data-page="${totalPages}">${totalPages}</button>`;
+    }
+    
+    html += `
+        <button class="page-btn" data-action="change-page" data-page="${AppState.currentPage + 1}" 
+                ${AppState.currentPage === totalPages ? 'disabled' : ''}>
+            <i class="fas fa-chevron-right"></i>
+        </button>
+    `;
+    
+    container.innerHTML = html;
+}
+
+function changePage(page) {
+    const totalPages = Math.ceil(AppState.filteredData.length / AppState.itemsPerPage);
+    if (page < 1 || page > totalPages) return;
+    
+    AppState.currentPage = page;
+    renderTableView();
+    updateUrlState();
+}
+
+// ================================
+// ORG CHART VIEW
+// ================================
+function renderOrgChartView() {
+    const container = document.getElementById('orgChartCanvas');
+    const issuesContainer = document.getElementById('orgChartIssues');
+    const hierarchy = AppState.hierarchy;
+    
+    issuesContainer.innerHTML = renderHierarchyIssues(hierarchy);
+    
+    if (!hierarchy || hierarchy.linkCount === 0) {
+        container.innerHTML = `
+            <p class="org-chart-empty">
+                No reporting lines found. Add a <code>reports_to</code> column with each person's manager email to build the chart.
+            </p>
+        `;
+        applyOrgChartTransform();
+        return;
+    }
+    
+    // Dim people hidden by the current search and filters
+    const visible = new Set(AppState.filteredData.map(getPersonKey));
+    
+    container.innerHTML = `
+        <ul class="org-tree">
+            ${hierarchy.roots.map(root => renderOrgNode(root, hierarchy, visible)).join('')}
+        </ul>
+    `;
+    applyOrgChartTransform();
+}
+
+function renderOrgNode(person, hierarchy, visible) {
+    const key = getPersonKey(person);
+    const reports = hierarchy.children.get(key) || [];
+    const collapsed = AppState.collapsedNodes.has(key);
+    const dimmed = !visible.has(key);
+    const status = person.status || 'active';
+    
+    return `
+        <li>
+            <div class="org-node ${dimmed ? 'dimmed' : ''} ${getStatusClass(status)}" data-action="show-person" data-person-id="${getPersonId(person)}">
+                <div class="person-avatar">${escapeHtml(getInitials(person.name))}</div>
+                <div class="org-node-info">
+                    <strong>${escapeHtml(person.name)}</strong>
+                    <small>${escapeHtml(person.role)}</small>
+                </div>
+                ${reports.length > 0 ? `
+                    <button class="org-node-toggle" data-action="toggle-org-node" data-key="${escapeHtml(key)}" title="${collapsed ? 'Expand' : 'Collapse'}">
+                        ${collapsed ? `+${reports.length}` : '<i class="fas fa-minus"></i>'}
+                    </button>
+                ` : ''}
+            </div>
+            ${reports.length > 0 && !collapsed ? `
+                <ul>
+                    ${reports.map(report => renderOrgNode(report, hierarchy, visible)).join('')}
+                </ul>
+            ` : ''}
+        </li>
+    `;
+}
+
+function renderHierarchyIssues(hierarchy) {
+    if (!hierarchy || (hierarchy.cycles.length === 0 && hierarchy.orphans.length === 0)) {
+        return '';
+    }
+    
+    return `
+        <div class="org-chart-issues">
+            <h4><i class="fas fa-exclamation-triangle"></i> Reporting line problems</h4>
+            <ul>
+                ${hierarchy.cycles.map(cycle => 
+                    `<li>Cycle: ${escapeHtml([...cycle, cycle[0]].map(p => p.name).join(' → '))}</li>`
+                ).join('')}
+                ${hierarchy.orphans.map(({ person, manager }) => 
+                    `<li>${escapeHtml(person.name)} reports to "${escapeHtml(manager)}", who is not in the data</li>`
+                ).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+function toggleOrgNode(key) {
+    if (AppState.collapsedNodes.has(key)) {
+        AppState.collapsedNodes.delete(key);
+    } else {
+        AppState.collapsedNodes.add(key);
+    }
+    renderOrgChartView();
+}
+
+function expandAllOrgNodes() {
+    AppState.collapsedNodes.clear();
+    renderOrgChartView();
+}
+
+function collapseAllOrgNodes() {
+    if (!AppState.hierarchy) return;
+    AppState.hierarchy.children.forEach((reports, key) => AppState.collapsedNodes.add(key));
+    renderOrgChartView();
+}
+
+function zoomOrgChart(factor) {
+    AppState.orgChartZoom = Math.min(2.5, Math.max(0.25, AppState.orgChartZoom * factor));
+    applyOrgChartTransform();
+}
+
+function resetOrgChartView() {
+    AppState.orgChartZoom = 1;
+    AppState.orgChartPan = { x: 0, y: 0 };
+    applyOrgChartTransform();
+}
+
+function applyOrgChartTransform() {
+    const canvas = document.getElementById('orgChartCanvas');
+    const { x, y } = AppState.orgChartPan;
+    canvas.style.transform = `translate(${x}px, ${y}px) scale(${AppState.orgChartZoom})`;
+    document.getElementById('orgZoomLevel').textContent = `${Math.round(AppState.orgChartZoom * 100)}%`;
+}
+
+function initializeOrgChartControls() {
+    const viewport = document.getElementById('orgChartViewport');
+    if (!viewport) return;
+    
+    document.getElementById('orgZoomIn').addEventListener('click', () => zoomOrgChart(1.2));
+    document.getElementById('orgZoomOut').addEventListener('click', () => zoomOrgChart(1 / 1.2));
+    document.getElementById('orgZoomReset').addEventListener('click', resetOrgChartView);
+    document.getElementById('orgExpandAll').addEventListener('click', expandAllOrgNodes);
+    document.getElementById('orgCollapseAll').addEventListener('click', collapseAllOrgNodes);
+    
+    // Wheel to zoom
+    viewport.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomOrgChart(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+    }, { passive: false });
+    
+    // Drag to pan
+    let dragStart = null;
+    viewport.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('.org-node')) return;
+        dragStart = { x: e.clientX - AppState.orgChartPan.x, y: e.clientY - AppState.orgChartPan.y };
+        viewport.classList.add('panning');
+        viewport.setPointerCapture(e.pointerId);
+    });
+    viewport.addEventListener('pointermove', (e) => {
+        if (!dragStart) return;
+        AppState.orgChartPan = { x: e.clientX - dragStart.x, y: e.clientY - dragStart.y };
+        applyOrgChartTransform();
+    });
+    const endPan = () => {
+        dragStart = null;
+        viewport.classList.remove('panning');
+    };
+    viewport.addEventListener('pointerup', endPan);
+    viewport.addEventListener('pointercancel', endPan);
+}
+
+// ================================
+// ENTITIES
+// ================================
+/**
+ * Tagged values that get a card view and a detail modal. `field` is the
+ * CSV column holding them and `stateKey` the AppState set of known names.
+ * `metadataFile` names the optional companion CSV describing them.
+ */
+const ENTITY_TYPES = {
+    team: {
+        field: 'team', stateKey: 'teams', multiple: true,
+        label: 'Team', plural: 'Teams', icon: 'fa-users', tagClass: 'tag-team',
+        cardClass: 'team-card', memberLabel: 'Members', countLabel: 'members', breakdown: 'institution'
+    },
+    institution: {
+        field: 'institution', stateKey: 'institutions', multiple: false,
+        label: 'Institution', plural: 'Institutions', icon: 'fa-university', tagClass: 'tag-institution',
+        cardClass: 'institution-card', memberLabel: 'People', countLabel: 'people', breakdown: 'role'
+    },
+    project: {
+        field: 'projects', stateKey: 'projects', multiple: true,
+        label: 'Project', plural: 'Projects', icon: 'fa-project-diagram', tagClass: 'tag-project',
+        cardClass: 'project-card', memberLabel: 'Team Members', countLabel: 'team members', breakdown: 'institution',
+        metadataFile: 'projects.csv', cardFields: ['pi', 'funding', 'end_date']
+    },
+    dataSource: {
+        field: 'data_sources', stateKey: 'dataSources', multiple: true,
+        label: 'Data Source', plural: 'Data Sources', icon: 'fa-database', tagClass: 'tag-data',
+        cardClass: 'data-source-card', memberLabel: 'People with Access', countLabel: 'with access', breakdown: 'role',
+        metadataFile: 'data_sources.csv', cardFields: ['location', 'sensitivity']
+    },
+    service: {
+        field: 'services', stateKey: 'services', multiple: true,
+        label: 'Service', plural: 'Services', icon: 'fa-server', tagClass: 'tag-service',
+        cardClass: 'service-card', memberLabel: 'Administrators', countLabel: 'administrators', breakdown: 'institution',
+        groupByTeam: true, metadataFile: 'services.csv', cardFields: ['url']
+    }
+};
+
+function getEntityValues(person, type) {
+    // Records outside the loaded dataset, such as pending imports, are parsed on demand
+    const links = personEntities.get(person);
+    return links ? links[type] : parseEntityField(person, type);
+}
+
+function countBy(items, getKey) {
+    const counts = {};
+    items.forEach(item => {
+        const key = getKey(item);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+}
+
+/**
+ * Collects everything shown about one entity: its members in the current
+ * filter, breakdowns, and how often each other entity occurs among them.
+ */
+function buildEntitySummary(type, name) {
+    const members = AppState.filteredData.filter(person => getEntityValues(person, type).includes(name));
+    
+    const related = {};
+    Object.keys(ENTITY_TYPES).filter(other => other !== type).forEach(other => {
+        const counts = {};
+        members.forEach(person => {
+            getEntityValues(person, other).forEach(value => {
+                counts[value] = (counts[value] || 0) + 1;
+            });
+        });
+        related[other] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    });
+    
+    return {
+        type,
+        name,
+        members,
+        institutionCount: countBy(members, m => m.institution || 'Unknown'),
+        roleCount: countBy(members, m => m.role || 'Unknown'),
+        related,
+        metadata: getEntityMetadata(type, name),
+        // A service run by one person stops when that person is unavailable.
+        // Counted over the whole roster: a filter hiding the other admins is no risk.
+        busFactorRisk: type === 'service' && (findEntity(type, name) || { people: members }).people.length === 1
+    };
+}
+
+function groupMembersByTeam(members) {
+    // People in several teams appear under each of them
+    const groups = new Map();
+    members.forEach(person => {
+        const teams = getEntityValues(person, 'team');
+        (teams.length > 0 ? teams : ['No team']).forEach(team => {
+            if (!groups.has(team)) {
+                groups.set(team, []);
+            }
+            groups.get(team).push(person);
+        });
+    });
+    return Array.from(groups, ([team, people]) => ({ team, members: people }))
+        .sort((a, b) => b.members.length - a.members.length);
+}
+
+function renderBreakdown(counts, className, compact = true) {
+    return Object.entries(counts).map(([value, count]) => 
+        `<span class="${className}">${escapeHtml(value)}${compact ? ` (${count})` : `: ${count}`}</span>`
+    ).join('');
+}
+
+function renderMemberChips(members, limit) {
+    const shown = limit ? members.slice(0, limit) : members;
+    return `
+        ${shown.map(renderMemberChip).join('')}
+        ${members.length > shown.length ? `<span class="member-chip more">+${members.length - shown.length} more</span>` : ''}
+    `;
+}
+
+/**
+ * Renders one card per entity of the given type, largest first. The whole
+ * card opens the entity's detail modal; member chips open the person.
+ */
+function renderEntityView(type, containerId, renderCardBody, options = {}) {
+    const container = document.getElementById(containerId);
+    const config = ENTITY_TYPES[type];
+    const names = AppState[config.stateKey];
+    
+    if (names.size === 0) {
+        container.innerHTML = `<p style="grid-column: 1/-1; text-align: center; color: var(--gray-500);">No ${config.plural.toLowerCase()} found</p>`;
+        return;
+    }
+    
+    const summaries = Array.from(names).map(name => buildEntitySummary(type, name));
+    summaries.sort((a, b) => b.members.length - a.members.length);
+    
+    const isAtRisk = summary => summary.busFactorRisk || Boolean(options.isAtRisk && options.isAtRisk(summary));
+    
+    container.innerHTML = (options.header || '') + renderEntityMetadataIssues(type) + summaries.map(summary => `
+        <div class="${config.cardClass} ${isAtRisk(summary) ? 'at-risk' : ''}" 
+             data-action="show-entity" data-type="${type}" data-name="${escapeHtml(summary.name)}">
+            <div class="card-header">
+                <div class="card-icon">
+                    <i class="fas ${config.icon}"></i>
+                </div>
+                <div>
+                    <div class="card-title">${escapeHtml(summary.name)}</div>
+                    <div class="card-subtitle">${summary.members.length} ${config.countLabel}</div>
+                </div>
+            </div>
+            ${renderEntityMetadataCard(type, summary.metadata)}
+            ${renderCardBody(summary)}
+        </div>
+    `).join('');
+}
+
+// ================================
+// TEAMS VIEW
+// ================================
+function renderTeamsView() {
+    renderEntityView('team', 'teamsGrid', team => `
+        <div class="member-list">
+            ${renderMemberChips(team.members, 5)}
+        </div>
+    `);
+}
+
+// ================================
+// INSTITUTIONS VIEW
+// ================================
+function renderInstitutionsView() {
+    renderEntityView('institution', 'institutionsGrid', institution => `
+        <div class="project-institutions">
+            ${renderEntityTags(institution.related.team.slice(0, 4).map(([team]) => team), 'team')}
+        </div>
+        <div class="member-list">
+            ${renderMemberChips(institution.members, 5)}
+        </div>
+    `);
+}
+
+// ================================
+// PROJECTS VIEW
+// ================================
+function renderProjectsView() {
+    renderEntityView('project', 'projectsGrid', project => `
+        <div class="project-institutions">
+            ${renderBreakdown(project.institutionCount, 'inst-badge')}
+        </div>
+        <div class="member-list">
+            ${renderMemberChips(project.members, 4)}
+        </div>
+    `);
+}
+
+// ================================
+// DATA SOURCES VIEW
+// ================================
+function renderDataSourcesView() {
+    const governance = buildGovernanceReport();
+    
+    renderEntityView('dataSource', 'dataSourcesGrid', dataSource => {
+        const source = getSourceGovernance(governance, dataSource.name);
+        return `
+            ${source && (source.classification || source.agreements.length > 0) ? `
+                <div class="governance-badges">
+                    ${renderClassificationBadge(source.classification)}
+                    ${source.agreements.map(renderAgreementBadge).join('')}
+                </div>
+            ` : ''}
+            ${source && source.overLimit ? `
+                <span class="risk-badge" title="Sensitive sources should have at most ${SENSITIVE_USER_LIMIT} people with access">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    ${source.people.length} people with access
+                </span>
+            ` : ''}
+            <div class="role-distribution">
+                ${renderBreakdown(Object.fromEntries(Object.entries(dataSource.roleCount).slice(0, 3)), 'role-badge')}
+            </div>
+            <div class="member-list">
+                ${renderMemberChips(dataSource.members, 3)}
+            </div>
+        `;
+    }, {
+        header: renderGovernancePanel(governance),
+        isAtRisk: summary => hasGovernanceProblem(governance, summary.name)
+    });
+}
+
+// ================================
+// SERVICES VIEW
+// ================================
+function renderServicesView() {
+    renderEntityView('service', 'servicesGrid', service => `
+        ${service.busFactorRisk ? `
+            <span class="risk-badge" title="Only one administrator can run this service">
+                <i class="fas fa-exclamation-triangle"></i>
+                Single administrator
+            </span>
+        ` : ''}
+        <div class="project-institutions">
+            ${renderBreakdown(service.institutionCount, 'inst-badge')}
+        </div>
+        <div class="member-list">
+            ${service.members.length > 0 ? 
+                renderMemberChips(service.members) : 
+                '<p style="color: var(--gray-500);">No administrators assigned</p>'
+            }
+        </div>
+    `);
+}
+
+// ================================
+// NETWORK VIEW
+// ================================
+// The graph is laid out in these viewBox units and scaled to fit the viewport
+const NETWORK_WIDTH = 1200;
+const NETWORK_HEIGHT = 800;
+// Entity types a path between two people may pass through
+const NETWORK_PATH_TYPES = ['project', 'dataSource'];
+
+function getNetworkTypes() {
+    return [
+        { type: 'person', plural: 'People' },
+        ...Object.entries(ENTITY_TYPES).map(([type, config]) => ({ type, plural: config.plural }))
+    ];
+}
+
+function getNetworkNodeId(type, name) {
+    if (type === 'person') {
+        return `person:${name}`;
+    }
+    const entity = findEntity(type, name);
+    return entity ? entity.id : `${type}:${slugifyEntityName(name)}`;
+}
+
+/**
+ * Builds the person-entity graph for the given people. Every node type is
+ * included; the type toggles only decide what is drawn.
+ */
+function buildNetworkGraph(people) {
+    const nodes = new Map();
+    const addNode = (id, node) => {
+        if (!nodes.has(id)) {
+            nodes.set(id, { id, ...node, neighbors: new Set() });
+        }
+        return nodes.get(id);
+    };
+    
+    people.forEach(person => {
+        const personNode = addNode(getNetworkNodeId('person', getPersonKey(person)), { type: 'person', name: person.name, person });
+        Object.keys(ENTITY_TYPES).forEach(type => {
+            getEntityValues(person, type).forEach(name => {
+                const entityNode = addNode(getNetworkNodeId(type, name), { type, name });
+                personNode.neighbors.add(entityNode.id);
+                entityNode.neighbors.add(personNode.id);
+            });
+        });
+    });
+    
+    return nodes;
+}
+
+/**
+ * Links between the drawn nodes. With people hidden, entities that share a
+ * person are linked to each other instead, so the graph stays connected.
+ */
+function getNetworkLinks(nodes, visible) {
+    const links = new Map();
+    const addLink = (a, b) => {
+        const key = a < b ? `${a}\n${b}` : `${b}\n${a}`;
+        if (a !== b && !links.has(key)) {
+            links.set(key, { source: a, target: b });
+        }
+    };
+    
+    nodes.forEach(node => {
+        if (node.type !== 'person') return;
+        const neighbors = Array.from(node.neighbors).filter(id => visible.has(id));
+        if (visible.has(node.id)) {
+            neighbors.forEach(id => addLink(node.id, id));
+        } else {
+            neighbors.forEach((a, i) => neighbors.slice(i + 1).forEach(b => addLink(a, b)));
+        }
+    });
+    
+    return Array.from(links.values());
+}
+
+/**
+ * Fruchterman-Reingold layout: every pair of nodes repels, links pull their
+ * ends together and the step size cools until the layout settles. Nodes
+ * start from their last position, so toggling a type or filtering moves
+ * the graph only as much as needed.
+ */
+function layoutNetwork(nodes, links) {
+    const positions = AppState.networkPositions;
+    const centerX = NETWORK_WIDTH / 2;
+    const centerY = NETWORK_HEIGHT / 2;
+    const margin = 30;
+    const k = 0.75 * Math.sqrt((NETWORK_WIDTH * NETWORK_HEIGHT) / Math.max(nodes.length, 1));
+    
+    let placed = 0;
+    nodes.forEach((node, index) => {
+        const saved = positions.get(node.id);
+        if (saved) {
+            node.x = saved.x;
+            node.y = saved.y;
+            placed++;
+        } else {
+            // Golden-angle spiral spreads new nodes evenly and deterministically
+            const radius = 0.5 * k * Math.sqrt(index + 1);
+            node.x = centerX + radius * Math.cos(index * 2.39996);
+            node.y = centerY + radius * Math.sin(index * 2.39996);
+        }
+    });
+    
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const iterations = Math.max(50, Math.min(300, Math.round(3e6 / Math.max(nodes.length ** 2, 1))));
+    let temperature = (placed === nodes.length ? 0.02 : 0.1) * NETWORK_WIDTH;
+    const cooling = temperature / iterations;
+    
+    for (let step = 0; step < iterations; step++) {
+        nodes.forEach(node => {
+            node.dx = (centerX - node.x) * 0.02;
+            node.dy = (centerY - node.y) * 0.02;
+        });
+        
+        for (let i = 0; i < nodes.length; i++) {
+            const a = nodes[i];
+            for (let j = i + 1; j < nodes.length; j++) {
+                const b = nodes[j];
+                const dx = a.x - b.x;
+                const dy = a.y - b.y;
+                const force = (k * k) / Math.max(dx * dx + dy * dy, 0.01);
+                a.dx += dx * force;
+                a.dy += dy * force;
+                b.dx -= dx * force;
+                b.dy -= dy * force;
+            }
+        }
+        
+        links.forEach(link => {
+            const a = byId.get(link.source);
+            const b = byId.get(link.target);
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const force = Math.sqrt(dx * dx + dy * dy) / k;
+            a.dx -= dx * force;
+            a.dy -= dy * force;
+            b.dx += dx * force;
+            b.dy += dy * force;
+        });
+        
+        nodes.forEach(node => {
+            const length = Math.sqrt(node.dx * node.dx + node.dy * node.dy);
+            if (length > 0) {
+                const move = Math.min(length, temperature);
+                node.x = Math.min(NETWORK_WIDTH - margin, Math.max(margin, node.x + (node.dx / length) * move));
+                node.y = Math.min(NETWORK_HEIGHT - margin, Math.max(margin, node.y + (node.dy / length) * move));
+            }
+        });
+        temperature -= cooling;
+    }
+    
+    nodes.forEach(node => positions.set(node.id, { x: node.x, y: node.y }));
+}
+
+/**
+ * Breadth-first search from one person to another, stepping only through
+ * NETWORK_PATH_TYPES entities. Returns the node ids along the path, or null.
+ */
+function findNetworkPath(nodes, fromId, toId) {
+    if (!nodes.has(fromId) || !nodes.has(toId)) return null;
+    
+    const previous = new Map([[fromId, null]]);
+    const queue = [fromId];
+    
+    while (queue.length > 0) {
+        const id = queue.shift();
+        if (id === toId) {
+            const path = [];
+            for (let step = id; step !== null; step = previous.get(step)) {
+                path.unshift(step);
+            }
+            return path;
+        }
+        
+        nodes.get(id).neighbors.forEach(next => {
+            const type = nodes.get(next).type;
+            if (!previous.has(next) && (type === 'person' || NETWORK_PATH_TYPES.includes(type))) {
+                previous.set(next, id);
+                queue.push(next);
+            }
+        });
+    }
+    
+    return null;
+}
+
+function renderNetworkView() {
+    const container = document.getElementById('networkCanvas');
+    const nodes = buildNetworkGraph(AppState.filteredData);
+    
+    renderNetworkControls(nodes);
+    
+    const path = renderNetworkPath(nodes);
+    const pathIds = new Set(path || []);
+    const visible = new Set(Array.from(nodes.values())
+        .filter(node => AppState.networkTypes.has(node.type) || pathIds.has(node.id))
+        .map(node => node.id));
+    
+    if (visible.size === 0) {
+        container.innerHTML = '<p class="org-chart-empty">Nothing to draw. Widen the filters or turn on a node type.</p>';
+        applyNetworkTransform();
+        return;
+    }
+    
+    const drawn = Array.from(visible, id => nodes.get(id));
+    const links = getNetworkLinks(nodes, visible);
+    layoutNetwork(drawn, links);
+    
+    const pathSteps = new Set();
+    (path || []).forEach((id, i) => {
+        if (i > 0) {
+            pathSteps.add(`${path[i - 1]}\n${id}`).add(`${id}\n${path[i - 1]}`);
+        }
+    });
+    
+    const position = id => AppState.networkPositions.get(id);
+    container.innerHTML = `
+        <svg class="network-svg ${path ? 'has-path' : ''}" viewBox="0 0 ${NETWORK_WIDTH} ${NETWORK_HEIGHT}" preserveAspectRatio="xMidYMid meet">
+            <g class="network-links">
+                ${links.map(({ source, target }) => {
+                    const a = position(source);
+                    const b = position(target);
+                    return `<line x1="${a.x.toFixed(1)}" y1="${a.y.toFixed(1)}" x2="${b.x.toFixed(1)}" y2="${b.y.toFixed(1)}"
+                                  class="${pathSteps.has(`${source}\n${target}`) ? 'on-path' : ''}"></line>`;
+                }).join('')}
+            </g>
+            <g class="network-nodes">
+                ${drawn.map(node => renderNetworkNode(node, pathIds.has(node.id))).join('')}
+            </g>
+        </svg>
+    `;
+    applyNetworkTransform();
+}
+
+function renderNetworkNode(node, onPath) {
+    const { x, y } = AppState.networkPositions.get(node.id);
+    const radius = node.type === 'person' ? 6 : Math.min(18, 6 + 2 * Math.sqrt(node.neighbors.size));
+    const label = node.name.length > 24 ? `${node.name.slice(0, 23)}…` : node.name;
+    const action = node.type === 'person' ? 
+        `data-action="show-person" data-person-id="${getPersonId(node.person)}"` : 
+        `data-action="show-entity" data-type="${node.type}" data-name="${escapeHtml(node.name)}"`;
+    const title = node.type === 'person' ? 
+        `${node.name} (${node.person.role || 'person'})` : 
+        `${ENTITY_TYPES[node.type].label}: ${node.name} (${node.neighbors.size} ${ENTITY_TYPES[node.type].countLabel})`;
+    
+    return `
+        <g class="network-node ${node.type} ${onPath ? 'on-path' : ''} ${node.person ? getStatusClass(node.person.status) : ''}" 
+           transform="translate(${x.toFixed(1)} ${y.toFixed(1)})" ${action}>
+            <title>${escapeHtml(title)}</title>
+            <circle r="${radius.toFixed(1)}"></circle>
+            <text y="${(radius + 12).toFixed(1)}">${escapeHtml(label)}</text>
+        </g>
+    `;
+}
+
+function renderNetworkControls(nodes) {
+    const counts = countBy(Array.from(nodes.values()), node => node.type);
+    
+    document.getElementById('networkTypeToggles').innerHTML = getNetworkTypes().map(({ type, plural }) => `
+        <label class="network-type-toggle">
+            <input type="checkbox" value="${type}" data-action="toggle-network-type" ${AppState.networkTypes.has(type) ? 'checked' : ''}>
+            <span class="network-swatch ${type}"></span>
+            ${escapeHtml(plural)} <small>(${counts[type] || 0})</small>
+        </label>
+    `).join('');
+    
+    const people = AppState.filteredData.slice().sort((a, b) => a.name.localeCompare(b.name));
+    const selected = AppState.networkPath || {};
+    const options = (placeholder, value) => `<option value="">${placeholder}</option>` + people.map(person => {
+        const key = getPersonKey(person);
+        return `<option value="${escapeHtml(key)}" ${key === value ? 'selected' : ''}>${escapeHtml(person.name)}</option>`;
+    }).join('');
+    
+    document.getElementById('networkPathFrom').innerHTML = options('From person…', selected.from);
+    document.getElementById('networkPathTo').innerHTML = options('To person…', selected.to);
+}
+
+/**
+ * Shows the requested path between two people and returns its node ids,
+ * or null when no path is requested or none exists.
+ */
+function renderNetworkPath(nodes) {
+    const container = document.getElementById('networkPathResult');
+    const request = AppState.networkPath;
+    
+    if (!request) {
+        container.innerHTML = '';
+        return null;
+    }
+    
+    const fromId = getNetworkNodeId('person', request.from);
+    const toId = getNetworkNodeId('person', request.to);
+    const path = findNetworkPath(nodes, fromId, toId);
+    
+    if (!path) {
+        const missing = !nodes.has(fromId) || !nodes.has(toId);
+        container.innerHTML = `
+            <div class="network-path-result none">
+                <i class="fas fa-unlink"></i>
+                ${missing ? 
+                    'One of these people is hidden by the current search or filters.' : 
+                    'These people are not connected through shared projects or data sources.'}
+            </div>
+        `;
+        return null;
+    }
+    
+    const hops = (path.length - 1) / 2;
+    container.innerHTML = `
+        <div class="network-path-result">
+            <i class="fas fa-route"></i>
+            ${path.map(id => {
+                const node = nodes.get(id);
+                return node.type === 'person' ? renderMemberChip(node.person) : renderEntityTag(node.name, node.type);
+            }).join('<i class="fas fa-arrow-right"></i>')}
+            <small>${hops} step${hops === 1 ? '' : 's'}</small>
+        </div>
+    `;
+    return path;
+}
+
+function toggleNetworkType(type, shown) {
+    if (shown) {
+        AppState.networkTypes.add(type);
+    } else {
+        AppState.networkTypes.delete(type);
+    }
+    renderNetworkView();
+}
+
+function findShortestNetworkPath() {
+    const from = document.getElementById('networkPathFrom').value;
+    const to = document.getElementById('networkPathTo').value;
+    
+    if (!from || !to) {
+        showToast('Choose two people to connect', 'warning');
+        return;
+    }
+    if (from === to) {
+        showToast('Choose two different people', 'warning');
+        return;
+    }
+    
+    AppState.networkPath = { from, to };
+    renderNetworkView();
+}
+
+function clearNetworkPath() {
+    AppState.networkPath = null;
+    renderNetworkView();
+}
+
+function zoomNetwork(factor) {
+    AppState.networkZoom = Math.min(4, Math.max(0.25, AppState.networkZoom * factor));
+    applyNetworkTransform();
+}
+
+function resetNetworkView() {
+    AppState.networkZoom = 1;
+    AppState.networkPan = { x: 0, y: 0 };
+    applyNetworkTransform();
+}
+
+function relayoutNetwork() {
+    AppState.networkPositions.clear();
+    renderNetworkView();
+}
+
+function applyNetworkTransform() {
+    const canvas = document.getElementById('networkCanvas');
+    const { x, y } = AppState.networkPan;
+    canvas.style.transform = `translate(${x}px, ${y}px) scale(${AppState.networkZoom})`;
+    document.getElementById('networkZoomLevel').textContent = `${Math.round(AppState.networkZoom * 100)}%`;
+}
+
+function initializeNetworkControls() {
+    const viewport = document.getElementById('networkViewport');
+    if (!viewport) return;
+    
+    document.getElementById('networkZoomIn').addEventListener('click', () => zoomNetwork(1.2));
+    document.getElementById('networkZoomOut').addEventListener('click', () => zoomNetwork(1 / 1.2));
+    document.getElementById('networkZoomReset').addEventListener('click', resetNetworkView);
+    document.getElementById('networkRelayout').addEventListener('click', relayoutNetwork);
+    document.getElementById('networkFindPath').addEventListener('click', findShortestNetworkPath);
+    document.getElementById('networkClearPath').addEventListener('click', clearNetworkPath);
+    
+    // Wheel to zoom
+    viewport.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        zoomNetwork(e.deltaY < 0 ? 1.1 : 1 / 1.1);
+    }, { passive: false });
+    
+    // Drag to pan
+    let dragStart = null;
+    viewport.addEventListener('pointerdown', (e) => {
+        if (e.target.closest('.network-node')) return;
+        dragStart = { x: e.clientX - AppState.networkPan.x, y: e.clientY - AppState.networkPan.y };
+        viewport.classList.add('panning');
+        viewport.setPointerCapture(e.pointerId);
+    });
+    viewport.addEventListener('pointermove', (e) => {
+        if (!dragStart) return;
+        AppState.networkPan = { x: e.clientX - dragStart.x, y: e.clientY - dragStart.y };
+        applyNetworkTransform();
+    });
+    const endPan = () => {
+        dragStart = null;
+        viewport.classList.remove('panning');
+    };
+    viewport.addEventListener('pointerup', endPan);
+    viewport.addEventListener('pointercancel', endPan);
+}
+
+// ================================
+// ANALYTICS VIEW
+// ================================
+// Charts are plain SVG with inline attributes instead of CSS classes, so an
+// exported file looks the same outside the page.
+const CHART_WIDTH = 560;
+const CHART_MAX_ROWS = 15;
+const CHART_FONT = 'Inter, Arial, sans-serif';
+const CHART_COLORS = ['#2563eb', '#f59e0b', '#22c55e', '#6366f1', '#db2777', '#06b6d4', '#ef4444', '#84cc16'];
+const CHART_OTHER_COLOR = '#9ca3af';
+
+const ANALYTICS_CHARTS = [
+    {
+        id: 'team-sizes',
+        title: 'Team Sizes',
+        render: people => renderBarChart(countEntityMembers(people, 'team'), { title: 'Team sizes', type: 'team' })
+    },
+    {
+        id: 'role-mix',
+        title: 'Role Mix per Team',
+        render: renderRoleMixChart
+    },
+    {
+        id: 'projects-per-person',
+        title: 'Projects per Person',
+        summary: people => {
+            const total = people.reduce((sum, person) => sum + getEntityValues(person, 'project').length, 0);
+            return `${(total / Math.max(people.length, 1)).toFixed(1)} projects per person on average`;
+        },
+        render: renderProjectsPerPersonChart
+    },
+    {
+        id: 'data-source-coverage',
+        title: 'Data Source Coverage',
+        summary: people => describeCoverage(people, 'dataSource', 'work with at least one data source'),
+        render: people => renderBarChart(countEntityMembers(people, 'dataSource'), { title: 'People per data source', type: 'dataSource', total: people.length })
+    },
+    {
+        id: 'service-adoption',
+        title: 'Service Adoption',
+        summary: people => describeCoverage(people, 'service', 'use at least one service'),
+        render: people => renderBarChart(countEntityMembers(people, 'service'), { title: 'People per service', type: 'service', total: people.length })
+    },
+    {
+        id: 'institutions',
+        title: 'Institution Breakdown',
+        render: people => renderDonutChart(countEntityMembers(people, 'institution'), { title: 'People per institution', type: 'institution' })
+    }
+];
+
+/** [name, member count] pairs for one entity type, largest first. */
+function countEntityMembers(people, type) {
+    const counts = {};
+    people.forEach(person => {
+        getEntityValues(person, type).forEach(name => {
+            counts[name] = (counts[name] || 0) + 1;
+        });
+    });
+    return Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+function describeCoverage(people, type, phrase) {
+    const covered = people.filter(person => getEntityValues(person, type).length > 0).length;
+    const percent = Math.round((covered / Math.max(people.length, 1)) * 100);
+    return `${covered} of ${people.length} people (${percent}%) ${phrase}`;
+}
+
+function renderAnalyticsView() {
+    const container = document.getElementById('analyticsGrid');
+    const people = AppState.filteredData;
+    
+    document.getElementById('analyticsSummary').textContent = 
+        `Based on ${people.length} of ${AppState.rawData.length} people in the current results.`;
+    
+    container.innerHTML = ANALYTICS_CHARTS.map(chart => {
+        const svg = people.length > 0 ? chart.render(people) : '';
+        return `
+            <div class="chart-card" id="chart-${chart.id}">
+                <div class="chart-header">
+                    <div>
+                        <h3>${escapeHtml(chart.title)}</h3>
+                        ${chart.summary && people.length > 0 ? `<p>${escapeHtml(chart.summary(people))}</p>` : ''}
+                    </div>
+                    <div class="chart-actions">
+                        <button class="btn-icon" data-action="export-chart" data-chart="${chart.id}" data-format="svg" title="Download SVG" ${svg ? '' : 'disabled'}>
+                            SVG
+                        </button>
+                        <button class="btn-icon" data-action="export-chart" data-chart="${chart.id}" data-format="png" title="Download PNG" ${svg ? '' : 'disabled'}>
+                            PNG
+                        </button>
+                    </div>
+                </div>
+                <div class="chart-body">
+                    ${svg || '<p class="chart-empty">No data in the current results</p>'}
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function truncateLabel(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function svgText(x, y, text, { anchor = 'start', fill = '#374151', size = 12, weight = 'normal' } = {}) {
+    return `<text x="${x}" y="${y}" text-anchor="${anchor}" fill="${fill}" font-size="${size}" font-weight="${weight}" font-family="${CHART_FONT}">${escapeHtml(text)}</text>`;
+}
+
+function svgDocument(width, height, title, body) {
+    return `
+        <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(title)}">
+            <rect width="${width}" height="${height}" fill="#ffffff"></rect>
+            ${body}
+        </svg>
+    `;
+}
+
+/** Clickable wrapper for chart marks that stand for an entity. */
+function svgEntityLink(type, name) {
+    return type ? ` data-action="show-entity" data-type="${type}" data-name="${escapeHtml(name)}" cursor="pointer"` : '';
+}
+
+/**
+ * Horizontal bars, one per [label, value] entry. With a total, values also
+ * show their share of it.
+ */
+function renderBarChart(entries, { title, type = null, total = 0 }) {
+    const rows = entries.slice(0, CHART_MAX_ROWS);
+    const labelWidth = 170;
+    const rowHeight = 26;
+    const barArea = CHART_WIDTH - labelWidth - 80;
+    const max = Math.max(1, ...rows.map(([, value]) => value));
+    const hidden = entries.length - rows.length;
+    const height = 20 + rows.length * rowHeight + (hidden > 0 ? 20 : 0);
+    
+    const bars = rows.map(([label, value], index) => {
+        const y = 10 + index * rowHeight;
+        const width = Math.max(2, (value / max) * barArea);
+        const text = total ? `${value} (${Math.round((value / total) * 100)}%)` : String(value);
+        return `
+            <g${svgEntityLink(type, label)}>
+                <title>${escapeHtml(`${label}: ${text}`)}</title>
+                ${svgText(labelWidth - 8, y + 17, truncateLabel(label, 26), { anchor: 'end' })}
+                <rect x="${labelWidth}" y="${y + 4}" width="${width.toFixed(1)}" height="${rowHeight - 8}" rx="3" fill="${CHART_COLORS[0]}"></rect>
+                ${svgText((labelWidth + width + 6).toFixed(1), y + 17, text, { fill: '#6b7280' })}
+            </g>
+        `;
+    }).join('');
+    
+    const note = hidden > 0 ? svgText(labelWidth, height - 8, `+${hidden} more not shown`, { fill: CHART_OTHER_COLOR, size: 11 }) : '';
+    return svgDocument(CHART_WIDTH, height, title, bars + note);
+}
+
+/** Colour legend laid out in rows below a chart, starting at y. */
+function renderChartLegend(keys, colors, y) {
+    const columnWidth = 135;
+    const perRow = Math.floor(CHART_WIDTH / columnWidth);
+    const markup = keys.map((key, index) => {
+        const x = 10 + (index % perRow) * columnWidth;
+        const rowY = y + Math.floor(index / perRow) * 20;
+        return `
+            <rect x="${x}" y="${rowY}" width="10" height="10" rx="2" fill="${colors[index]}"></rect>
+            ${svgText(x + 15, rowY + 9, truncateLabel(key, 18), { size: 11 })}
+        `;
+    }).join('');
+    return { markup, height: Math.ceil(keys.length / perRow) * 20 };
+}
+
+/**
+ * Stacked bars of roles for each team. The most common roles get their own
+ * colour; the rest are grouped as Other.
+ */
+function renderRoleMixChart(people) {
+    const teams = countEntityMembers(people, 'team').slice(0, CHART_MAX_ROWS);
+    const roleTotals = Object.entries(countBy(people, person => person.role || 'Unknown')).sort((a, b) => b[1] - a[1]);
+    const topRoles = roleTotals.slice(0, CHART_COLORS.length - 1).map(([role]) => role);
+    const keys = roleTotals.length > topRoles.length ? [...topRoles, 'Other'] : topRoles;
+    const colors = keys.map((key, index) => key === 'Other' ? CHART_OTHER_COLOR : CHART_COLORS[index]);
+    
+    const labelWidth = 170;
+    const rowHeight = 26;
+    const barArea = CHART_WIDTH - labelWidth - 40;
+    const max = Math.max(1, ...teams.map(([, count]) => count));
+    
+    const bars = teams.map(([team, count], index) => {
+        const y = 10 + index * rowHeight;
+        const members = people.filter(person => getEntityValues(person, 'team').includes(team));
+        const roles = countBy(members, person => topRoles.includes(person.role || 'Unknown') ? (person.role || 'Unknown') : 'Other');
+        let x = labelWidth;
+        const segments = keys.filter(key => roles[key]).map(key => {
+            const width = (roles[key] / max) * barArea;
+            const segment = `
+                <rect x="${x.toFixed(1)}" y="${y + 4}" width="${width.toFixed(1)}" height="${rowHeight - 8}" fill="${colors[keys.indexOf(key)]}">
+                    <title>${escapeHtml(`${team}, ${key}: ${roles[key]}`)}</title>
+                </rect>
+            `;
+            x += width;
+            return segment;
+        }).join('');
+        return `
+            <g${svgEntityLink('team', team)}>
+                ${svgText(labelWidth - 8, y + 17, truncateLabel(team, 26), { anchor: 'end' })}
+                ${segments}
+                ${svgText((x + 6).toFixed(1), y + 17, String(count), { fill: '#6b7280' })}
+            </g>
+        `;
+    }).join('');
+    
+    const legendY = 20 + teams.length * rowHeight;
+    const legend = renderChartLegend(keys, colors, legendY);
+    return svgDocument(CHART_WIDTH, legendY + legend.height + 10, 'Role mix per team', bars + legend.markup);
+}
+
+/** Columns counting people by how many projects they are on. */
+function renderProjectsPerPersonChart(people) {
+    const cap = 6;
+    const buckets = new Array(cap + 1).fill(0);
+    people.forEach(person => {
+        buckets[Math.min(cap, getEntityValues(person, 'project').length)]++;
+    });
+    while (buckets.length > 2 && buckets[buckets.length - 1] === 0) {
+        buckets.pop();
+    }
+    
+    const height = 240;
+    const top = 25;
+    const bottom = height - 45;
+    const left = 40;
+    const columnWidth = (CHART_WIDTH - left - 20) / buckets.length;
+    const max = Math.max(1, ...buckets);
+    
+    const columns = buckets.map((count, index) => {
+        const barHeight = (count / max) * (bottom - top);
+        const x = left + index * columnWidth;
+        const label = index === cap ? `${cap}+` : String(index);
+        return `
+            <g>
+                <title>${escapeHtml(`${count} ${count === 1 ? 'person' : 'people'} on ${label} project${label === '1' ? '' : 's'}`)}</title>
+                <rect x="${(x + columnWidth * 0.15).toFixed(1)}" y="${(bottom - barHeight).toFixed(1)}" width="${(columnWidth * 0.7).toFixed(1)}" height="${barHeight.toFixed(1)}" rx="3" fill="${CHART_COLORS[1]}"></rect>
+                ${svgText((x + columnWidth / 2).toFixed(1), (bottom - barHeight - 6).toFixed(1), String(count), { anchor: 'middle', fill: '#6b7280' })}
+                ${svgText((x + columnWidth / 2).toFixed(1), bottom + 18, label, { anchor: 'middle' })}
+            </g>
+        `;
+    }).join('');
+    
+    const axis = `
+        <line x1="${left}" y1="${bottom}" x2="${CHART_WIDTH - 20}" y2="${bottom}" stroke="#d1d5db"></line>
+        ${svgText(CHART_WIDTH / 2, height - 8, 'Projects', { anchor: 'middle', fill: '#6b7280', size: 11 })}
+        ${svgText(12, top - 8, 'People', { fill: '#6b7280', size: 11 })}
+    `;
+    return svgDocument(CHART_WIDTH, height, 'Projects per person', columns + axis);
+}
+
+/** Donut with a legend, for shares of a whole. Small slices merge into Other. */
+function renderDonutChart(entries, { title, type = null }) {
+    const slices = entries.slice(0, CHART_COLORS.length - 1).map(([label, value], index) => ({ label, value, color: CHART_COLORS[index] }));
+    const rest = entries.slice(slices.length).reduce((sum, [, value]) => sum + value, 0);
+    if (rest > 0) {
+        slices.push({ label: 'Other', value: rest, color: CHART_OTHER_COLOR, other: true });
+    }
+    
+    const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+    const cx = 120;
+    const cy = 120;
+    const outer = 100;
+    const inner = 60;
+    const point = (radius, angle) => `${(cx + radius * Math.sin(angle)).toFixed(2)} ${(cy - radius * Math.cos(angle)).toFixed(2)}`;
+    
+    let angle = 0;
+    const arcs = slices.map(slice => {
+        const sweep = (slice.value / total) * Math.PI * 2;
+        const label = `${slice.label}: ${slice.value} (${Math.round((slice.value / total) * 100)}%)`;
+        // A full circle cannot be drawn as one arc, so a single slice is two rings
+        const shape = sweep >= Math.PI * 2 - 1e-6 ? 
+            `<circle cx="${cx}" cy="${cy}" r="${(outer + inner) / 2}" fill="none" stroke="${slice.color}" stroke-width="${outer - inner}"></circle>` : 
+            `<path d="M ${point(outer, angle)} A ${outer} ${outer} 0 ${sweep > Math.PI ? 1 : 0} 1 ${point(outer, angle + sweep)} 
+                      L ${point(inner, angle + sweep)} A ${inner} ${inner} 0 ${sweep > Math.PI ? 1 : 0} 0 ${point(inner, angle)} Z" 
+                   fill="${slice.color}" stroke="#ffffff" stroke-width="1"></path>`;
+        angle += sweep;
+        return `<g${slice.other ? '' : svgEntityLink(type, slice.label)}><title>${escapeHtml(label)}</title>${shape}</g>`;
+    }).join('');
+    
+    const legend = slices.map((slice, index) => {
+        const y = 30 + index * 24;
+        return `
+            <g${slice.other ? '' : svgEntityLink(type, slice.label)}>
+                <rect x="260" y="${y}" width="12" height="12" rx="2" fill="${slice.color}"></rect>
+                ${svgText(280, y + 11, truncateLabel(slice.label, 28))}
+                ${svgText(CHART_WIDTH - 10, y + 11, `${slice.value} (${Math.round((slice.value / total) * 100)}%)`, { anchor: 'end', fill: '#6b7280' })}
+            </g>
+        `;
+    }).join('');
+    
+    const center = `
+        ${svgText(cx, cy, String(total), { anchor: 'middle', size: 22, weight: 'bold', fill: '#1f2937' })}
+        ${svgText(cx, cy + 18, 'people', { anchor: 'middle', fill: '#6b7280', size: 11 })}
+    `;
+    const height = Math.max(240, 40 + slices.length * 24);
+    return svgDocument(CHART_WIDTH, height, title, arcs + center + legend);
+}
+
+async function exportChart(id, format) {
+    const svg = document.querySelector(`#chart-${id} svg`);
+    if (!svg) {
+        showToast('This chart has no data to export', 'warning');
+        return;
+    }
+    
+    const markup = new XMLSerializer().serializeToString(svg);
+    const filename = `chart_${id}.${format}`;
+    
+    if (format === 'svg') {
+        downloadFile(markup, filename, 'image/svg+xml');
+        showToast('Chart exported as SVG', 'success');
+        return;
+    }
+    
+    try {
+        const blob = await renderSvgToPng(markup, Number(svg.getAttribute('width')), Number(svg.getAttribute('height')));
+        downloadFile(blob, filename, 'image/png');
+        showToast('Chart exported as PNG', 'success');
+    } catch (error) {
+        showToast(`Could not export PNG: ${error.message}`, 'error');
+    }
+}
+
+/** Rasterizes SVG markup at twice its size so the PNG stays sharp in slides. */
+function renderSvgToPng(markup, width, height, scale = 2) {
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('the browser could not encode the image')), 'image/png');
+        };
+        image.onerror = () => reject(new Error('the chart could not be drawn'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+    });
+}
+
+// ================================
+// RISK REPORT
+// ================================
+// The report covers the whole dataset regardless of filters, and counts
+// active people only: an inactive owner cannot cover for anyone.
+const RISK_TYPES = ['dataSource', 'service'];
+// Sole ownership of this many sources or services makes a person a risk
+const SOLE_OWNER_THRESHOLD = 2;
+// Access roles that make someone responsible for a data source
+const RESPONSIBLE_ACCESS_ROLES = ['owner', 'steward'];
+
+function isActivePerson(person) {
+    return (person.status || 'active') !== 'inactive';
+}
+
+/**
+ * Whether a person covers an entity they list. Once data_access.csv is
+ * loaded, only owners and stewards cover a data source; plain users with
+ * access do not.
+ */
+function isResponsibleFor(person, type, name) {
+    return type !== 'dataSource' || !AppState.dataAccess || 
+        RESPONSIBLE_ACCESS_ROLES.includes(getAccessRole(person, name));
+}
+
+/** Active responsible people per entity of one type, including entities nobody active covers. */
+function getActiveCoverage(type, people) {
+    const coverage = new Map();
+    AppState.rawData.forEach(person => {
+        getEntityValues(person, type).forEach(name => coverage.set(name, []));
+    });
+    people.forEach(person => {
+        getEntityValues(person, type)
+            .filter(name => isResponsibleFor(person, type, name))
+            .forEach(name => coverage.get(name).push(person));
+    });
+    return coverage;
+}
+
+/**
+ * Builds the risk report. People whose keys are in `leaving` are treated as
+ * gone, which is how the departure simulation works.
+ */
+function buildRiskReport(leaving = new Set()) {
+    const people = AppState.rawData.filter(person => isActivePerson(person) && !leaving.has(getPersonKey(person)));
+    const coverage = { project: getActiveCoverage('project', people) };
+    RISK_TYPES.forEach(type => {
+        coverage[type] = getActiveCoverage(type, people);
+    });
+    
+    const thinCoverage = [];
+    RISK_TYPES.forEach(type => {
+        coverage[type].forEach((members, name) => {
+            if (members.length <= 1) {
+                thinCoverage.push({ type, name, members });
+            }
+        });
+    });
+    thinCoverage.sort((a, b) => a.members.length - b.members.length || a.name.localeCompare(b.name));
+    
+    // Projects whose people all share a team, or all come from one institution.
+    // One-person projects are left out; they would all qualify.
+    const concentratedProjects = [];
+    coverage.project.forEach((members, name) => {
+        if (members.length < 2) return;
+        
+        const teams = members
+            .map(person => getEntityValues(person, 'team'))
+            .reduce((shared, personTeams) => shared.filter(team => personTeams.includes(team)));
+        const institutions = new Set(members.map(person => (person.institution || '').trim()));
+        const institution = institutions.size === 1 ? Array.from(institutions)[0] : '';
+        
+        if (teams.length > 0 || institution) {
+            concentratedProjects.push({ name, members, teams, institution });
+        }
+    });
+    concentratedProjects.sort((a, b) => b.members.length - a.members.length || a.name.localeCompare(b.name));
+    
+    const soleOwners = people.map(person => ({
+        person,
+        sources: thinCoverage.filter(entry => entry.members.length === 1 && entry.members[0] === person)
+    })).filter(owner => owner.sources.length >= SOLE_OWNER_THRESHOLD);
+    soleOwners.sort((a, b) => b.sources.length - a.sources.length || a.person.name.localeCompare(b.person.name));
+    
+    return { people, coverage, thinCoverage, concentratedProjects, soleOwners };
+}
+
+/**
+ * Compares the report with and without the leaving people: what would have
+ * no active person left, and what would be down to one.
+ */
+function simulateDepartures(leaving) {
+    const before = buildRiskReport();
+    const after = buildRiskReport(leaving);
+    const orphaned = [];
+    const reduced = [];
+    
+    ['project', ...RISK_TYPES].forEach(type => {
+        after.coverage[type].forEach((members, name) => {
+            const previous = before.coverage[type].get(name);
+            if (members.length === 0 && previous.length > 0) {
+                orphaned.push({ type, name, members: previous });
+            } else if (members.length === 1 && previous.length > 1) {
+                reduced.push({ type, name, members });
+            }
+        });
+    });
+    
+    return { orphaned, reduced };
+}
+
+function getInactiveMembers(type, name) {
+    return AppState.rawData.filter(person => 
+        !isActivePerson(person) && getEntityValues(person, type).includes(name) && isResponsibleFor(person, type, name)
+    );
+}
+
+function renderRisksView() {
+    const container = document.getElementById('risksContent');
+    const report = buildRiskReport();
+    const uncovered = report.thinCoverage.filter(entry => entry.members.length === 0).length;
+    
+    container.innerHTML = `
+        <div class="risk-summary">
+            ${renderRiskStat(uncovered, 'sources and services with no active person')}
+            ${renderRiskStat(report.thinCoverage.length - uncovered, 'sources and services with a single person')}
+            ${renderRiskStat(report.concentratedProjects.length, 'projects within one team or institution')}
+            ${renderRiskStat(report.soleOwners.length, `people solely responsible for ${SOLE_OWNER_THRESHOLD}+ sources or services`)}
+        </div>
+        
+        <section class="risk-section">
+            <h3>Data sources and services with one or no active person</h3>
+            ${AppState.dataAccess ? `
+                <p class="risk-hint">Data sources count only their owners and stewards from ${escapeHtml(AppState.dataAccess.fileName)}.</p>
+            ` : ''}
+            ${report.thinCoverage.length === 0 ? 
+                '<p class="history-empty">Every data source and service has at least two active people</p>' : `
+                <div class="table-container">
+                    <table class="data-table risk-table">
+                        <thead>
+                            <tr>
+                                <th>Type</th>
+                                <th>Name</th>
+                                <th>Active</th>
+                                <th>Inactive</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.thinCoverage.map(entry => `
+                                <tr>
+                                    <td>${ENTITY_TYPES[entry.type].label}</td>
+                                    <td>${renderEntityTag(entry.name, entry.type)}</td>
+                                    <td>${entry.members.length > 0 ? 
+                                        entry.members.map(renderMemberChip).join('') : 
+                                        '<span class="risk-badge"><i class="fas fa-exclamation-triangle"></i> Nobody</span>'}</td>
+                                    <td>${getInactiveMembers(entry.type, entry.name).map(renderMemberChip).join('')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </section>
+        
+        <section class="risk-section">
+            <h3>Projects staffed from a single team or institution</h3>
+            ${report.concentratedProjects.length === 0 ? 
+                '<p class="history-empty">Every project draws on several teams and institutions</p>' : `
+                <div class="table-container">
+                    <table class="data-table risk-table">
+                        <thead>
+                            <tr>
+                                <th>Project</th>
+                                <th>Active People</th>
+                                <th>All In Team</th>
+                                <th>All At Institution</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.concentratedProjects.map(project => `
+                                <tr>
+                                    <td>${renderEntityTag(project.name, 'project')}</td>
+                                    <td>${project.members.length}</td>
+                                    <td>${project.teams.map(team => renderEntityTag(team, 'team')).join('')}</td>
+                                    <td>${project.institution ? renderEntityTag(project.institution, 'institution') : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </section>
+        
+        <section class="risk-section">
+            <h3>Sole owners</h3>
+            ${report.soleOwners.length === 0 ? 
+                `<p class="history-empty">Nobody is the only active person on ${SOLE_OWNER_THRESHOLD} or more sources or services</p>` : `
+                <div class="table-container">
+                    <table class="data-table risk-table">
+                        <thead>
+                            <tr>
+                                <th>Person</th>
+                                <th>Only Person On</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.soleOwners.map(({ person, sources }) => `
+                                <tr>
+                                    <td>${renderMemberChip(person)}</td>
+                                    <td>${sources.map(entry => renderEntityTag(entry.name, entry.type)).join('')}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </section>
+        
+        <section class="risk-section">
+            <h3>What if someone leaves?</h3>
+            ${renderDepartureSimulation(report.people)}
+        </section>
+    `;
+}
+
+function renderRiskStat(count, label) {
+    return `
+        <div class="risk-stat ${count > 0 ? 'flagged' : ''}">
+            <strong>${count}</strong>
+            <span>${escapeHtml(label)}</span>
+        </div>
+    `;
+}
+
+function renderDepartureSimulation(activePeople) {
+    const leaving = AppState.riskLeaving;
+    const leavers = AppState.rawData.filter(person => leaving.has(getPersonKey(person)));
+    const candidates = activePeople
+        .filter(person => !leaving.has(getPersonKey(person)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    const controls = `
+        <div class="risk-simulation-controls">
+            <select class="filter-select" data-action="add-risk-leaver" aria-label="Add a person who leaves">
+                <option value="">Add a person who leaves…</option>
+                ${candidates.map(person => `<option value="${escapeHtml(getPersonKey(person))}">${escapeHtml(person.name)}</option>`).join('')}
+            </select>
+            ${leavers.map(person => `
+                <span class="member-chip risk-leaver">
+                    ${escapeHtml(person.name)}
+                    <button data-action="remove-risk-leaver" data-key="${escapeHtml(getPersonKey(person))}" title="Keep ${escapeHtml(person.name)}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </span>
+            `).join('')}
+        </div>
+    `;
+    
+    if (leavers.length === 0) {
+        return `${controls}<p class="history-empty">Choose one or more people to see what would be left without cover</p>`;
+    }
+    
+    const { orphaned, reduced } = simulateDepartures(leaving);
+    const renderEntries = entries => entries.map(entry => `
+        <tr>
+            <td>${ENTITY_TYPES[entry.type].label}</td>
+            <td>${renderEntityTag(entry.name, entry.type)}</td>
+            <td>${entry.members.map(renderMemberChip).join('')}</td>
+        </tr>
+    `).join('');
+    
+    return `
+        ${controls}
+        ${orphaned.length === 0 && reduced.length === 0 ? 
+            '<p class="history-empty">Everything these people work on would still have at least two active people</p>' : `
+            <div class="table-container">
+                <table class="data-table risk-table">
+                    <thead>
+                        <tr>
+                            <th>Type</th>
+                            <th>Name</th>
+                            <th>People</th>
+                        </tr>
+                    </thead>
+                    ${orphaned.length > 0 ? `
+                        <tbody>
+                            <tr class="risk-group"><td colspan="3">Left with nobody (${orphaned.length}). Listed with who covers them today.</td></tr>
+                            ${renderEntries(orphaned)}
+                        </tbody>
+                    ` : ''}
+                    ${reduced.length > 0 ? `
+                        <tbody>
+                            <tr class="risk-group"><td colspan="3">Left with one person (${reduced.length})</td></tr>
+                            ${renderEntries(reduced)}
+                        </tbody>
+                    ` : ''}
+                </table>
+            </div>
+        `}
+    `;
+}
+
+function addRiskLeaver(key) {
+    if (!key) return;
+    AppState.riskLeaving.add(key);
+    renderRisksView();
+}
+
+function removeRiskLeaver(key) {
+    AppState.riskLeaving.delete(key);
+    renderRisksView();
+}
+
+// ================================
+// MATRIX VIEW
+// ================================
+const MATRIX_COLUMN_TYPES = ['service', 'dataSource'];
+
+/**
+ * Orders items so that similar ones sit next to each other: start from the
+ * item with the most links, then repeatedly take the remaining item whose
+ * set overlaps most with the last one (Jaccard similarity).
+ */
+function seriate(items, getSet) {
+    const sets = new Map(items.map(item => [item, getSet(item)]));
+    const similarity = (a, b) => {
+        const setA = sets.get(a);
+        const setB = sets.get(b);
+        let shared = 0;
+        setA.forEach(value => {
+            if (setB.has(value)) shared++;
+        });
+        const union = setA.size + setB.size - shared;
+        return union === 0 ? 0 : shared / union;
+    };
+    
+    const remaining = items.slice().sort((a, b) => sets.get(b).size - sets.get(a).size);
+    const ordered = remaining.length > 0 ? [remaining.shift()] : [];
+    while (remaining.length > 0) {
+        const last = ordered[ordered.length - 1];
+        let best = 0;
+        remaining.forEach((item, index) => {
+            if (similarity(last, item) > similarity(last, remaining[best])) {
+                best = index;
+            }
+        });
+        ordered.push(remaining.splice(best, 1)[0]);
+    }
+    return ordered;
+}
+
+/**
+ * Rows, columns and row groups for the matrix, ordered as chosen in the
+ * toolbar. With grouping, people on several teams appear under each.
+ */
+function buildMatrix(people) {
+    const { type, order, groupByTeam, sortBy } = AppState.matrix;
+    const memberships = new Map(people.map(person => [person, new Set(getEntityValues(person, type))]));
+    const columnPeople = new Map();
+    people.forEach(person => {
+        memberships.get(person).forEach(name => {
+            if (!columnPeople.has(name)) columnPeople.set(name, new Set());
+            columnPeople.get(name).add(person);
+        });
+    });
+    
+    const byName = (a, b) => a.localeCompare(b);
+    let columns = Array.from(columnPeople.keys()).sort(byName);
+    let rows = people.slice().sort((a, b) => a.name.localeCompare(b.name));
+    
+    if (order === 'count') {
+        columns.sort((a, b) => columnPeople.get(b).size - columnPeople.get(a).size || byName(a, b));
+        rows.sort((a, b) => memberships.get(b).size - memberships.get(a).size || a.name.localeCompare(b.name));
+    } else if (order === 'cluster') {
+        columns = seriate(columns, name => columnPeople.get(name));
+        rows = seriate(rows, person => memberships.get(person));
+    }
+    if (columnPeople.has(sortBy)) {
+        // Stable sort, so people on the column keep the chosen order among themselves
+        rows.sort((a, b) => memberships.get(b).has(sortBy) - memberships.get(a).has(sortBy));
+    }
+    
+    let groups;
+    if (groupByTeam) {
+        const teams = new Map();
+        rows.forEach(person => {
+            const personTeams = getEntityValues(person, 'team');
+            (personTeams.length > 0 ? personTeams : ['No team']).forEach(team => {
+                if (!teams.has(team)) teams.set(team, []);
+                teams.get(team).push(person);
+            });
+        });
+        groups = Array.from(teams, ([name, members]) => ({ name, members })).sort((a, b) => byName(a.name, b.name));
+    } else {
+        groups = [{ name: null, members: rows }];
+    }
+    
+    return { type, columns, columnPeople, memberships, groups };
+}
+
+function renderMatrixView() {
+    const container = document.getElementById('matrixContent');
+    const { type, order, groupByTeam } = AppState.matrix;
+    
+    document.getElementById('matrixColumns').value = type;
+    document.getElementById('matrixOrder').value = order;
+    document.getElementById('matrixGroupByTeam').checked = groupByTeam;
+    
+    const matrix = buildMatrix(AppState.filteredData);
+    if (matrix.columns.length === 0) {
+        container.innerHTML = `<p class="chart-empty">No ${ENTITY_TYPES[type].plural.toLowerCase()} among the people in the current results</p>`;
+        return;
+    }
+    
+    const config = ENTITY_TYPES[type];
+    const renderRow = person => `
+        <tr>
+            <th class="matrix-person">
+                <span data-action="show-person" data-person-id="${getPersonId(person)}">${escapeHtml(person.name)}</span>
+                <small>${matrix.memberships.get(person).size}</small>
+            </th>
+            ${matrix.columns.map(column => matrix.memberships.get(person).has(column) ? 
+                `<td class="matrix-cell on" title="${escapeHtml(`${person.name}: ${column}`)}"><i class="fas fa-check"></i></td>` : 
+                '<td class="matrix-cell"></td>'
+            ).join('')}
+        </tr>
+    `;
+    // Group rows show the share of the team on each column as a heat shade
+    const renderGroup = group => `
+        <tr class="matrix-group">
+            <th>${renderEntityTag(group.name, 'team')} <small>${group.members.length}</small></th>
+            ${matrix.columns.map(column => {
+                const count = group.members.filter(person => matrix.memberships.get(person).has(column)).length;
+                const share = count / group.members.length;
+                return `<td class="matrix-heat" style="--heat: ${share.toFixed(2)}" 
+                            title="${escapeHtml(`${group.name}: ${count} of ${group.members.length} on ${column}`)}">${count || ''}</td>`;
+            }).join('')}
+        </tr>
+        ${group.members.map(renderRow).join('')}
+    `;
+    
+    container.innerHTML = `
+        <div class="matrix-container">
+            <table class="matrix-table">
+                <thead>
+                    <tr>
+                        <th class="matrix-corner">${escapeHtml(config.plural)} →</th>
+                        ${matrix.columns.map(column => `
+                            <th class="matrix-column" title="${escapeHtml(column)}">
+                                <span data-action="show-entity" data-type="${type}" data-name="${escapeHtml(column)}">${escapeHtml(column)}</span>
+                            </th>
+                        `).join('')}
+                    </tr>
+                    <tr class="matrix-totals">
+                        <th>People</th>
+                        ${matrix.columns.map(column => `
+                            <td>
+                                <button class="matrix-sort ${column === AppState.matrix.sortBy ? 'active' : ''}" data-action="sort-matrix" 
+                                        data-name="${escapeHtml(column)}" title="${escapeHtml(`List people on ${column} first`)}">
+                                    ${matrix.columnPeople.get(column).size}
+                                </button>
+                            </td>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${matrix.groups.map(group => group.name === null ? group.members.map(renderRow).join('') : renderGroup(group)).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function updateMatrixOptions() {
+    const type = document.getElementById('matrixColumns').value;
+    AppState.matrix = {
+        type,
+        order: document.getElementById('matrixOrder').value,
+        groupByTeam: document.getElementById('matrixGroupByTeam').checked,
+        sortBy: type === AppState.matrix.type ? AppState.matrix.sortBy : null
+    };
+    renderMatrixView();
+}
+
+function sortMatrixBy(column) {
+    AppState.matrix.sortBy = AppState.matrix.sortBy === column ? null : column;
+    renderMatrixView();
+}
+
+/** Exports the matrix as shown, one row per person (per team when grouped) and 1/0 cells. */
+function exportMatrixCSV() {
+    const matrix = buildMatrix(AppState.filteredData);
+    const grouped = AppState.matrix.groupByTeam;
+    const headers = ['name', 'email', ...(grouped ? ['team'] : []), ...matrix.columns];
+    const rows = [headers.map(formatCSVValue).join(',')];
+    
+    matrix.groups.forEach(group => {
+        group.members.forEach(person => {
+            const values = [person.name || '', person.email || ''];
+            if (grouped) {
+                values.push(group.name);
+            }
+            matrix.columns.forEach(column => values.push(matrix.memberships.get(person).has(column) ? '1' : '0'));
+            rows.push(values.map(formatCSVValue).join(','));
+        });
+    });
+    
+    const filename = `${ENTITY_TYPES[matrix.type].field}_matrix.csv`;
+    downloadFile(rows.join('\r\n'), filename, 'text/csv');
+    showToast('Matrix exported as CSV', 'success');
+}
+
+function initializeMatrixControls() {
+    const typeSelect = document.getElementById('matrixColumns');
+    if (!typeSelect) return;
+    
+    typeSelect.innerHTML = MATRIX_COLUMN_TYPES.map(type => 
+        `<option value="${type}">${ENTITY_TYPES[type].plural}</option>`
+    ).join('');
+    
+    typeSelect.addEventListener('change', updateMatrixOptions);
+    document.getElementById('matrixOrder').addEventListener('change', updateMatrixOptions);
+    document.getElementById('matrixGroupByTeam').addEventListener('change', updateMatrixOptions);
+    document.getElementById('matrixExportCSV').addEventListener('click', exportMatrixCSV);
+}
+
+// ================================
+// SEARCH INDEX
+// ================================
+/**
+ * Inverted index over the searchable fields, rebuilt by extractUniqueValues.
+ * Text is folded (lower case, accents stripped) before indexing, so "Leon"
+ * finds "León". Query words match index terms exactly, by prefix, or within
+ * one or two typos, and each hit is weighted by the field it came from.
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    name: 5,
+    email: 3,
+    role: 2,
+    team: 2,
+    projects: 2,
+    data_sources: 2,
+    services: 2,
+    institution: 1
+};
+
+function foldText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenizeSearchText(text) {
+    return text ? foldText(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean) : [];
+}
+
+function buildSearchIndex(data) {
+    const postings = new Map(); // term -> Map(person -> field weight)
+    const texts = new Map();    // person -> folded text for phrase and wildcard matching
+    
+    data.forEach(person => {
+        Object.entries(SEARCH_FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenizeSearchText(person[field]).forEach(term => {
+                if (!postings.has(term)) {
+                    postings.set(term, new Map());
+                }
+                const entry = postings.get(term);
+                entry.set(person, Math.max(entry.get(person) || 0, weight));
+            });
+        });
+        texts.set(person, foldText(
+            Object.keys(SEARCH_FIELD_WEIGHTS).map(field => person[field]).filter(Boolean).join('\n')
+        ));
+    });
+    
+    return { postings, texts, vocabulary: Array.from(postings.keys()), lookups: new Map() };
+}
+
+/**
+ * How well a query word matches an index term, from 1 (identical) down to
+ * 0 (no match). Words of four or more letters tolerate one typo, words of
+ * eight or more two, including typos in a prefix ("tranlat"). Words with
+ * digits are identifiers, where a typo is a different person.
+ */
+function termSimilarity(word, term) {
+    if (term === word) return 1;
+    if (word.length >= 2 && term.startsWith(word)) return 0.8;
+    
+    if (word.length >= 4 && !/\d/.test(word)) {
+        const maxEdits = word.length >= 8 ? 2 : 1;
+        if (Math.abs(term.length - word.length) <= maxEdits) {
+            const distance = editDistance(word, term);
+            if (distance <= maxEdits) return 0.7 - 0.1 * distance;
+        }
+        if (term.length > word.length) {
+            const prefixDistance = Math.min(
+                ...[word.length - 1, word.length, word.length + 1].map(length => editDistance(word, term.slice(0, length)))
+            );
+            if (prefixDistance <= maxEdits) return 0.4;
+        }
+    }
+    
+    if (word.length >= 3 && term.includes(word)) return 0.3;
+    return 0;
+}
+
+function lookupSearchTerm(word) {
+    const index = AppState.searchIndex;
+    if (!index.lookups.has(word)) {
+        const matches = new Map();
+        index.vocabulary.forEach(term => {
+            const similarity = termSimilarity(word, term);
+            if (similarity > 0) {
+                matches.set(term, similarity);
+            }
+        });
+        index.lookups.set(word, matches);
+    }
+    return index.lookups.get(word);
+}
+
+function getFoldedSearchText(person) {
+    return AppState.searchIndex.texts.get(person) || foldText(
+        Object.keys(SEARCH_FIELD_WEIGHTS).map(field => person[field]).filter(Boolean).join('\n')
+    );
+}
+
+/**
+ * Scores a free-text query word against one person. A word that splits
+ * into several tokens (an email address, "Avila-Ponce") needs all of them;
+ * only the last may be a prefix or contain a typo.
+ */
+function scoreSearchWord(word, person) {
+    const postings = AppState.searchIndex.postings;
+    const tokens = tokenizeSearchText(word);
+    let total = 0;
+    
+    for (const [position, token] of tokens.entries()) {
+        const exactOnly = position < tokens.length - 1;
+        let best = 0;
+        lookupSearchTerm(token).forEach((similarity, term) => {
+            const weight = postings.get(term).get(person);
+            if (weight && (!exactOnly || similarity === 1)) {
+                best = Math.max(best, similarity * weight);
+            }
+        });
+        if (best === 0) {
+            total = 0;
+            break;
+        }
+        total += best;
+    }
+    
+    // Plain substring matches still count, as they did before the index
+    if (total === 0 && getFoldedSearchText(person).includes(foldText(word))) {
+        total = 0.5;
+    }
+    return total;
+}
+
+/**
+ * Folded strings to highlight for a query word: the word itself plus every
+ * index term it matched.
+ */
+function getSearchWordHighlights(word) {
+    const highlights = [foldText(word)];
+    const tokens = tokenizeSearchText(word);
+    tokens.forEach((token, position) => {
+        highlights.push(token);
+        if (position === tokens.length - 1) {
+            highlights.push(...lookupSearchTerm(token).keys());
+        }
+    });
+    return highlights;
+}
+
+/**
+ * Escapes a value and wraps the parts matching the current search in
+ * <mark>. Matching runs on folded text, mapped back to the original
+ * characters so accents survive.
+ */
+function highlightText(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    const terms = AppState.searchHighlights;
+    if (!text || terms.length === 0) return escapeHtml(text);
+    
+    let folded = '';
+    const origin = [];
+    for (let i = 0; i < text.length; i++) {
+        const foldedChar = foldText(text[i]);
+        for (let j = 0; j < foldedChar.length; j++) {
+            folded += foldedChar[j];
+            origin.push(i);
+        }
+    }
+    
+    const marked = new Array(text.length).fill(false);
+    terms.forEach(term => {
+        let at = folded.indexOf(term);
+        while (at !== -1) {
+            for (let k = at; k < at + term.length; k++) {
+                marked[origin[k]] = true;
+            }
+            at = folded.indexOf(term, at + term.length);
+        }
+    });
+    
+    let html = '';
+    let i = 0;
+    while (i < text.length) {
+        let end = i;
+        while (end < text.length && marked[end] === marked[i]) {
+            end++;
+        }
+        const chunk = escapeHtml(text.slice(i, end));
+        html += marked[i] ? `<mark>${chunk}</mark>` : chunk;
+        i = end;
+    }
+    return html;
+}
+
+// ================================
+// SEARCH QUERIES
+// ================================
+/**
+ * Query syntax for the search box:
+ *   words, "quoted phrases"     match anywhere in a record
+ *   field:value, field:"a b"    match one field; tag fields match any tag
+ *   AND (implicit), OR, NOT or -term, parentheses
+ *   * and ? wildcards
+ * Operators must be upper case so "or" and "not" can still be searched for.
+ * A quoted field value must equal the whole value (or tag); an unquoted one
+ * has to appear in it, or each of its words must start a word of it. Field
+ * values are never typo-corrected. Free-text words go through the search
+ * index, which forgives typos.
+ */
+const QUERY_FIELDS = {
+    name: { column: 'name' },
+    email: { column: 'email' },
+    role: { column: 'role', values: () => new Set(AppState.rawData.map(p => p.role).filter(Boolean)) },
+    team: { column: 'team', entity: 'team', values: () => AppState.teams },
+    institution: { column: 'institution', entity: 'institution', values: () => AppState.institutions },
+    project: { column: 'projects', entity: 'project', values: () => AppState.projects },
+    data_source: { column: 'data_sources', entity: 'dataSource', values: () => AppState.dataSources },
+    service: { column: 'services', entity: 'service', values: () => AppState.services },
+    status: { get: person => person.status || 'active', values: () => new Set(VALID_STATUSES) },
+    manager: { get: getManagerRef }
+};
+
+const QUERY_FIELD_ALIASES = {
+    teams: 'team',
+    inst: 'institution',
+    projects: 'project',
+    data_sources: 'data_source',
+    datasource: 'data_source',
+    source: 'data_source',
+    services: 'service',
+    reports_to: 'manager'
+};
+
+const QUERY_OPERATORS = ['AND', 'OR', 'NOT'];
+
+function createQueryError(message, position) {
+    const error = new Error(`${message} (at character ${position + 1})`);
+    error.position = position;
+    return error;
+}
+
+function resolveQueryField(name, position) {
+    const key = name.toLowerCase();
+    const field = QUERY_FIELD_ALIASES[key] || key;
+    if (!QUERY_FIELDS[field]) {
+        throw createQueryError(`Unknown field "${name}"; use one of ${Object.keys(QUERY_FIELDS).join(', ')}`, position);
+    }
+    return field;
+}
+
+function tokenizeQuery(text) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < text.length) {
+        const ch = text[i];
+        
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+        
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, position: i });
+            i++;
+            continue;
+        }
+        
+        // Leading minus is shorthand for NOT
+        if (ch === '-' && (i === 0 || /[\s(]/.test(text[i - 1])) && /[^\s)]/.test(text[i + 1] || ' ')) {
+            tokens.push({ type: 'NOT', position: i });
+            i++;
+            continue;
+        }
+        
+        const start = i;
+        let field = null;
+        
+        if (ch !== '"') {
+            while (i < text.length && !/[\s()"]/.test(text[i])) {
+                i++;
+            }
+            const word = text.slice(start, i);
+            const colon = word.indexOf(':');
+            
+            if (colon <= 0) {
+                if (QUERY_OPERATORS.includes(word)) {
+                    tokens.push({ type: word, position: start });
+                } else {
+                    tokens.push({ type: 'term', field: null, value: word, phrase: false, position: start });
+                }
+                continue;
+            }
+            
+            field = resolveQueryField(word.slice(0, colon), start);
+            const value = word.slice(colon + 1);
+            if (value) {
+                tokens.push({ type: 'term', field, value, phrase: false, position: start });
+                continue;
+            }
+            if (text[i] !== '"') {
+                throw createQueryError(`Expected a value after "${word}"`, start);
+            }
+        }
+        
+        // Quoted phrase; i is on the opening quote
+        const close = text.indexOf('"', i + 1);
+        if (close === -1) {
+            throw createQueryError('Missing closing quote', i);
+        }
+        const value = text.slice(i + 1, close);
+        if (!value.trim()) {
+            throw createQueryError('Empty quoted phrase', i);
+        }
+        tokens.push({ type: 'term', field, value, phrase: true, position: start });
+        i = close + 1;
+    }
+    
+    return tokens;
+}
+
+/**
+ * Parses a query into a tree of { type: 'and' | 'or', left, right },
+ * { type: 'not', operand } and term tokens. NOT binds tightest, then AND,
+ * then OR. Returns null for an empty query.
+ */
+function parseQuery(text) {
+    const tokens = tokenizeQuery(text);
+    if (tokens.length === 0) return null;
+    
+    let index = 0;
+    const peek = () => tokens[index];
+    const startsOperand = token => token && (token.type === 'term' || token.type === '(' || token.type === 'NOT');
+    
+    const expectOperand = operator => {
+        if (!startsOperand(peek())) {
+            throw createQueryError(`Expected a search term after ${operator.type}`, operator.position);
+        }
+    };
+    
+    function parseOr() {
+        let node = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            const operator = tokens[index++];
+            expectOperand(operator);
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+    
+    function parseAnd() {
+        let node = parseUnary();
+        while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+            if (peek().type === 'AND') {
+                const operator = tokens[index++];
+                expectOperand(operator);
+            }
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    }
+    
+    function parseUnary() {
+        const token = peek();
+        if (!token) {
+            throw createQueryError('Expected a search term', text.length);
+        }
+        
+        if (token.type === 'NOT') {
+            index++;
+            expectOperand(token);
+            return { type: 'not', operand: parseUnary() };
+        }
+        
+        if (token.type === '(') {
+            index++;
+            if (peek() && peek().type === ')') {
+                throw createQueryError('Empty parentheses', token.position);
+            }
+            const node = parseOr();
+            if (!peek() || peek().type !== ')') {
+                throw createQueryError('Missing closing parenthesis', token.position);
+            }
+            index++;
+            return node;
+        }
+        
+        if (token.type === 'term') {
+            index++;
+            return { ...token, score: createTermScorer(token) };
+        }
+        
+        throw createQueryError(`Unexpected "${token.type}"`, token.position);
+    }
+    
+    const tree = parseOr();
+    if (index < tokens.length) {
+        throw createQueryError(`Unexpected "${peek().type}"`, peek().position);
+    }
+    return tree;
+}
+
+function createTermScorer(term) {
+    const value = foldText(term.value);
+    
+    if (/[*?]/.test(value)) {
+        // Wildcards never span fields: searchable text is joined with newlines
+        const pattern = value.split('').map(ch => {
+            if (ch === '*') return '[^\\n]*';
+            if (ch === '?') return '[^\\n]';
+            return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }).join('');
+        const regex = new RegExp(term.field ? `^${pattern}$` : pattern);
+        return term.field ? 
+            person => (getQueryFieldValues(person, term.field).some(v => regex.test(foldText(v))) ? 1 : 0) : 
+            person => (regex.test(getFoldedSearchText(person)) ? 1 : 0);
+    }
+    
+    if (!term.field) {
+        return term.phrase ? 
+            person => (getFoldedSearchText(person).includes(value) ? 1 : 0) : 
+            person => scoreSearchWord(term.value, person);
+    }
+    
+    if (term.phrase) {
+        return person => (getQueryFieldValues(person, term.field).some(v => foldText(v) === value) ? 2 : 0);
+    }
+    
+    const words = tokenizeSearchText(term.value);
+    return person => {
+        let best = 0;
+        getQueryFieldValues(person, term.field).forEach(fieldValue => {
+            const folded = foldText(fieldValue);
+            if (folded.includes(value)) {
+                best = 2;
+                return;
+            }
+            // No typo tolerance here: status:inactive must not match "active".
+            // Every query word must start a word of the value instead.
+            const tokens = tokenizeSearchText(fieldValue);
+            if (words.length > 0 && words.every(word => tokens.some(token => token.startsWith(word)))) {
+                best = Math.max(best, 1);
+            }
+        });
+        return best;
+    };
+}
+
+function getQueryFieldValues(person, field) {
+    const config = QUERY_FIELDS[field];
+    if (config.entity) {
+        return getEntityValues(person, config.entity);
+    }
+    const value = config.get ? config.get(person) : person[config.column];
+    return value ? [String(value).trim()] : [];
+}
+
+/**
+ * Scores a parsed query for one person: null when the person doesn't
+ * match, otherwise a relevance score that grows with every matched term.
+ */
+function scoreQuery(node, person) {
+    switch (node.type) {
+        case 'and': {
+            const left = scoreQuery(node.left, person);
+            const right = left === null ? null : scoreQuery(node.right, person);
+            return right === null ? null : left + right;
+        }
+        case 'or': {
+            const left = scoreQuery(node.left, person);
+            const right = scoreQuery(node.right, person);
+            if (left === null) return right;
+            return right === null ? left : left + right;
+        }
+        case 'not':
+            return scoreQuery(node.operand, person) === null ? 0 : null;
+        default: {
+            const score = node.score(person);
+            return score > 0 ? score : null;
+        }
+    }
+}
+
+function collectQueryHighlights(node, highlights = []) {
+    if (node.type === 'and' || node.type === 'or') {
+        collectQueryHighlights(node.left, highlights);
+        collectQueryHighlights(node.right, highlights);
+    } else if (node.type === 'term' && !/[*?]/.test(node.value)) {
+        // Terms under NOT never match, so there is nothing to highlight
+        highlights.push(...(node.phrase ? [foldText(node.value)] : getSearchWordHighlights(node.value)));
+    }
+    return highlights;
+}
+
+/**
+ * Returns { score, highlights, error }. score is null when the query is
+ * empty or invalid; error carries the parse problem to show under the
+ * search box.
+ */
+function compileSearchQuery(text) {
+    try {
+        const tree = parseQuery(text);
+        if (!tree) return { score: null, highlights: [], error: null };
+        
+        const highlights = [...new Set(collectQueryHighlights(tree))].filter(Boolean);
+        return { score: person => scoreQuery(tree, person), highlights, error: null };
+    } catch (error) {
+        if (error.position === undefined) throw error;
+        return { score: null, highlights: [], error };
+    }
+}
+
+function showSearchError(error) {
+    const input = document.getElementById('searchInput');
+    const message = document.getElementById('searchError');
+    
+    input.classList.toggle('invalid', Boolean(error));
+    message.textContent = error ? error.message : '';
+    message.hidden = !error;
+}
+
+// ================================
+// SEARCH AUTOCOMPLETE
+// ================================
+const MAX_SEARCH_SUGGESTIONS = 8;
+
+function quoteQueryValue(value) {
+    const clean = value.replace(/"/g, '');
+    return /[\s()]/.test(clean) || QUERY_OPERATORS.includes(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Finds the term under the cursor and suggests field names or values for
+ * it. Returns { start, end, items: [{ label, hint, insert }] }.
+ */
+function getQuerySuggestions(text, cursor) {
+    const before = text.slice(0, cursor);
+    let start;
+    
+    // Inside an open quote the term starts at the word holding the quote
+    const quoteCount = (before.match(/"/g) || []).length;
+    if (quoteCount % 2 === 1) {
+        start = before.lastIndexOf('"');
+        while (start > 0 && !/[\s(]/.test(text[start - 1])) {
+            start--;
+        }
+    } else {
+        start = Math.max(before.lastIndexOf(' '), before.lastIndexOf('('), before.lastIndexOf('\t')) + 1;
+    }
+    if (text[start] === '-') {
+        start++;
+    }
+    
+    let end = cursor;
+    while (end < text.length && !/[\s)]/.test(text[end])) {
+        end++;
+    }
+    
+    const token = text.slice(start, cursor);
+    const items = [];
+    const colon = token.indexOf(':');
+    
+    if (colon > 0) {
+        const fieldText = token.slice(0, colon);
+        const field = QUERY_FIELD_ALIASES[fieldText.toLowerCase()] || fieldText.toLowerCase();
+        const config = QUERY_FIELDS[field];
+        if (!config || !config.values) return { start, end, items };
+        
+        const partial = token.slice(colon + 1).replace(/^"/, '').toLowerCase();
+        Array.from(config.values())
+            .filter(value => value.toLowerCase().includes(partial))
+            .sort((a, b) => Number(!a.toLowerCase().startsWith(partial)) - Number(!b.toLowerCase().startsWith(partial)) || a.localeCompare(b))
+            .slice(0, MAX_SEARCH_SUGGESTIONS)
+            .forEach(value => items.push({ label: value, hint: field, insert: `${fieldText}:${quoteQueryValue(value)} ` }));
+        return { start, end, items };
+    }
+    
+    const partial = token.replace(/^"/, '').toLowerCase();
+    if (!partial || QUERY_OPERATORS.includes(token)) return { start, end, items };
+    
+    Object.keys(QUERY_FIELDS)
+        .filter(field => field.startsWith(partial))
+        .forEach(field => items.push({ label: `${field}:`, hint: 'field', insert: `${field}:` }));
+    
+    // Values from any field, inserted with their field so the match is scoped
+    Object.entries(QUERY_FIELDS).forEach(([field, config]) => {
+        if (!config.values) return;
+        config.values().forEach(value => {
+            if (items.length < MAX_SEARCH_SUGGESTIONS && value.toLowerCase().startsWith(partial)) {
+                items.push({ label: value, hint: field, insert: `${field}:${quoteQueryValue(value)} ` });
+            }
+        });
+    });
+    
+    return { start, end, items: items.slice(0, MAX_SEARCH_SUGGESTIONS) };
+}
+
+function initializeSearchAutocomplete() {
+    const input = document.getElementById('searchInput');
+    const list = document.getElementById('searchSuggestions');
+    
+    input.addEventListener('input', updateSearchSuggestions);
+    input.addEventListener('keydown', handleSearchKeydown);
+    input.addEventListener('blur', hideSearchSuggestions);
+    
+    // mousedown keeps focus in the input, so blur doesn't close the list first
+    list.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const item = e.target.closest('li[data-index]');
+        if (item) {
+            acceptSearchSuggestion(Number(item.dataset.index));
+        }
+    });
+}
+
+function updateSearchSuggestions() {
+    const input = document.getElementById('searchInput');
+    const suggestions = getQuerySuggestions(input.value, input.selectionStart);
+    AppState.searchSuggestions = suggestions.items.length > 0 ? { ...suggestions, active: 0 } : null;
+    renderSearchSuggestions();
+}
+
+function renderSearchSuggestions() {
+    const list = document.getElementById('searchSuggestions');
+    const suggestions = AppState.searchSuggestions;
+    
+    if (!suggestions) {
+        list.hidden = true;
+        list.innerHTML = '';
+        return;
+    }
+    
+    list.innerHTML = suggestions.items.map((item, index) => `
+        <li data-index="${index}" class="${index === suggestions.active ? 'active' : ''}">
+            <span>${escapeHtml(item.label)}</span>
+            <small>${escapeHtml(item.hint)}</small>
+        </li>
+    `).join('');
+    list.hidden = false;
+}
+
+function hideSearchSuggestions() {
+    AppState.searchSuggestions = null;
+    renderSearchSuggestions();
+}
+
+function handleSearchKeydown(e) {
+    const suggestions = AppState.searchSuggestions;
+    if (!suggestions) return;
+    
+    const count = suggestions.items.length;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        suggestions.active = (suggestions.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+        renderSearchSuggestions();
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault();
+        acceptSearchSuggestion(suggestions.active);
+    } else if (e.key === 'Escape') {
+        hideSearchSuggestions();
+    }
+}
+
+function acceptSearchSuggestion(index) {
+    const input = document.getElementById('searchInput');
+    const { start, end, items } = AppState.searchSuggestions;
+    const item = items[index];
+    
+    input.value = input.value.slice(0, start) + item.insert + input.value.slice(end);
+    const cursor = start + item.insert.length;
+    input.setSelectionRange(cursor, cursor);
+    input.focus();
+    
+    // Re-run the search and offer values right after a completed field name
+    input.dispatchEvent(new Event('input'));
+}
+
+// ================================
+// FACETS
+// ================================
+/**
+ * Sidebar filters. Each facet is a multi-select over one field; selected
+ * values combine with OR (any of them) or AND (all of them, useful for the
+ * semicolon-separated tag fields). Counts show how many people each value
+ * would match given the search and the other facets.
+ */
+const FACETS = [
+    { key: 'team', label: 'Team', values: person => getEntityValues(person, 'team') },
+    { key: 'institution', label: 'Institution', values: person => getEntityValues(person, 'institution') },
+    { key: 'project', label: 'Project', values: person => getEntityValues(person, 'project') },
+    { key: 'dataSource', label: 'Data Source', values: person => getEntityValues(person, 'dataSource') },
+    { key: 'service', label: 'Service', values: person => getEntityValues(person, 'service') },
+    { key: 'role', label: 'Role', values: person => (person.role ? [person.role.trim()] : []) },
+    { key: 'status', label: 'Status', values: person => [person.status || 'active'] }
+];
+
+function getFacetState(key) {
+    if (!AppState.facets[key]) {
+        AppState.facets[key] = { selected: new Set(), mode: 'or' };
+    }
+    return AppState.facets[key];
+}
+
+function matchesFacet(person, facet) {
+    const { selected, mode } = getFacetState(facet.key);
+    if (selected.size === 0) return true;
+    
+    const values = facet.values(person);
+    const selectedValues = Array.from(selected);
+    return mode === 'and' ? 
+        selectedValues.every(value => values.includes(value)) : 
+        selectedValues.some(value => values.includes(value));
+}
+
+function matchesFacets(person, except = null) {
+    return FACETS.every(facet => facet === except || matchesFacet(person, facet));
+}
+
+function getSearchMatches() {
+    const query = compileSearchQuery(document.getElementById('searchInput').value);
+    if (!query.score) {
+        return { query, people: AppState.rawData, scores: null };
+    }
+    
+    const scores = new Map();
+    AppState.rawData.forEach(person => {
+        const score = query.score(person);
+        if (score !== null) {
+            scores.set(person, score);
+        }
+    });
+    return { query, people: AppState.rawData.filter(person => scores.has(person)), scores };
+}
+
+/**
+ * Renders the facet sidebar. applyFilters passes the people matching the
+ * search so the query is not scored twice.
+ */
+function renderFacets(searchMatches = getSearchMatches().people) {
+    const sidebar = document.getElementById('facetSidebar');
+    const results = searchMatches.filter(person => matchesFacets(person));
+    
+    // Keep each list's scroll position across re-renders
+    const scroll = {};
+    sidebar.querySelectorAll('.facet-values').forEach(list => {
+        scroll[list.dataset.facet] = list.scrollTop;
+    });
+    
+    sidebar.innerHTML = FACETS.map(facet => {
+        const state = getFacetState(facet.key);
+        
+        // OR adds to the results, so count against everything but this facet;
+        // AND narrows them, so count within the current results
+        const base = state.mode === 'or' ? 
+            searchMatches.filter(person => matchesFacets(person, facet)) : 
+            results;
+        
+        const counts = new Map();
+        AppState.rawData.forEach(person => facet.values(person).forEach(value => counts.set(value, 0)));
+        base.forEach(person => facet.values(person).forEach(value => counts.set(value, counts.get(value) + 1)));
+        state.selected.forEach(value => {
+            if (!counts.has(value)) counts.set(value, 0);
+        });
+        
+        const values = Array.from(counts).sort((a, b) => 
+            Number(state.selected.has(b[0])) - Number(state.selected.has(a[0])) || b[1] - a[1] || a[0].localeCompare(b[0])
+        );
+        
+        return `
+            <section class="facet">
+                <div class="facet-header">
+                    <h4>${facet.label}</h4>
+                    <div class="facet-mode" title="Match any or all selected values">
+                        ${['or', 'and'].map(mode => `
+                            <button type="button" class="${state.mode === mode ? 'active' : ''}" 
+                                    data-action="set-facet-mode" data-facet="${facet.key}" data-mode="${mode}">${mode.toUpperCase()}</button>
+                        `).join('')}
+                    </div>
+                    <button type="button" class="facet-clear" data-action="clear-facet" data-facet="${facet.key}" 
+                            title="Clear ${facet.label.toLowerCase()} filter" ${state.selected.size === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+                <div class="facet-values" data-facet="${facet.key}">
+                    ${values.length === 0 ? '<p class="facet-empty">No values</p>' : values.map(([value, count]) => `
+                        <label class="facet-value ${count === 0 && !state.selected.has(value) ? 'empty' : ''}">
+                            <input type="checkbox" data-action="toggle-facet-value" data-facet="${facet.key}" 
+                                   value="${escapeHtml(value)}" ${state.selected.has(value) ? 'checked' : ''}>
+                            <span class="facet-label">${escapeHtml(value)}</span>
+                            <span class="facet-count">${count}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </section>
+        `;
+    }).join('');
+    
+    sidebar.querySelectorAll('.facet-values').forEach(list => {
+        list.scrollTop = scroll[list.dataset.facet] || 0;
+    });
+}
+
+function toggleFacetValue(key, value, selected) {
+    const state = getFacetState(key);
+    if (selected) {
+        state.selected.add(value);
+    } else {
+        state.selected.delete(value);
+    }
+    applyFilters();
+}
+
+function setFacetMode(key, mode) {
+    getFacetState(key).mode = mode === 'and' ? 'and' : 'or';
+    applyFilters();
+}
+
+function clearFacet(key) {
+    getFacetState(key).selected.clear();
+    applyFilters();
+}
+
+// ================================
+// FILTERING & SEARCH
+// ================================
+function populateFilters() {
+    // Drop selections for values that are no longer in the data
+    FACETS.forEach(facet => {
+        const present = new Set(AppState.rawData.flatMap(facet.values));
+        const state = getFacetState(facet.key);
+        state.selected.forEach(value => {
+            if (!present.has(value)) state.selected.delete(value);
+        });
+    });
+}
+
+function applyFilters(options = {}) {
+    const { query, people, scores } = getSearchMatches();
+    
+    // Search query (an invalid query is reported and ignored), then facets
+    AppState.filteredData = people.filter(person => matchesFacets(person));
+    AppState.searchScores = scores;
+    AppState.searchHighlights = query.highlights;
+    
+    showSearchError(query.error);
+    renderFacets(people);
+    sortFilteredData();
+    AppState.currentPage = 1;
+    renderCurrentView();
+    updateUrlState(options.replaceUrl);
+}
+
+function clearFilters() {
+    document.getElementById('searchInput').value = '';
+    AppState.facets = {};
+    
+    applyFilters();
+}
+
+// ================================
+// SORTING
+// ================================
+function sortTable(column) {
+    if (AppState.sortColumn === column) {
+        AppState.sortDirection = AppState.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        AppState.sortColumn = column;
+        AppState.sortDirection = 'asc';
+    }
+    
+    sortFilteredData();
+    renderTableView();
+    updateUrlState();
+}
+
+function sortFilteredData() {
+    const column = AppState.sortColumn;
+    
+    // Without an explicit sort, search results are ranked by relevance
+    if (!column) {
+        if (AppState.searchScores) {
+            const scores = AppState.searchScores;
+            AppState.filteredData = [...AppState.filteredData].sort((a, b) => scores.get(b) - scores.get(a));
+        }
+        return;
+    }
+    
+    // filteredData may still be rawData itself; sort a copy
+    AppState.filteredData = [...AppState.filteredData].sort((a, b) => {
+        const aValue = a[column] || '';
+        const bValue = b[column] || '';
+        
+        if (AppState.sortDirection === 'asc') {
+            return aValue.localeCompare(bValue);
+        } else {
+            return bValue.localeCompare(aValue);
+        }
+    });
+}
+
+// ================================
+// MODALS
+// ================================
+function showPersonDetails(person) {
+    if (typeof person === 'string') {
+        person = AppState.personById.get(person);
+        if (!person) return;
+    }
+    
+    const modal = document.getElementById('personModal');
+    const modalTitle = document.getElementById('modalPersonName');
+    
+    // Detail modals replace each other so navigation never stacks them
+    document.getElementById('entityModal').classList.remove('active');
+    const modalBody = document.getElementById('modalBody');
+    
+    modalTitle.textContent = person.name;
+    AppState.selectedPersonKey = getPersonKey(person);
+    document.getElementById('toggleStatusBtnLabel').textContent = 
+        (person.status || 'active') === 'inactive' ? 'Reactivate' : 'Deactivate';
+    
+    const teams = renderEntityTags(getEntityValues(person, 'team'), 'team') || 'Not assigned';
+    const projects = renderEntityTags(getEntityValues(person, 'project'), 'project') || 'None';
+    const dataSources = renderEntityTags(getEntityValues(person, 'dataSource'), 'dataSource') || 'None';
+    const services = renderEntityTags(getEntityValues(person, 'service'), 'service') || 'None';
+    
+    // Reporting line
+    const hierarchy = AppState.hierarchy;
+    const managerPerson = hierarchy ? hierarchy.parentOf.get(getPersonKey(person)) : null;
+    const manager = managerPerson ? managerPerson.name : getManagerRef(person);
+    const directReports = hierarchy ? (hierarchy.children.get(getPersonKey(person)) || []) : [];
+    
+    modalBody.innerHTML = `
+        <div class="person-details-modal">
+            <div class="detail-row">
+                <span class="detail-label">Email:</span>
+                <span class="detail-value"><a href="mailto:${encodeURIComponent(person.email || '')}">${escapeHtml(person.email)}</a></span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Role:</span>
+                <span class="detail-value">${escapeHtml(person.role)}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Institution:</span>
+                <span class="detail-value">${renderEntityTags(getEntityValues(person, 'institution'), 'institution') || 'Not specified'}</span>
+            </div>
+            ${manager ? `
+                <div class="detail-row">
+                    <span class="detail-label">Reports To:</span>
+                    <span class="detail-value">${managerPerson ? renderMemberChip(managerPerson) : escapeHtml(manager)}</span>
+                </div>
+            ` : ''}
+            ${directReports.length > 0 ? `
+                <div class="detail-row">
+                    <span class="detail-label">Direct Reports:</span>
+                    <span class="detail-value">${directReports.map(renderMemberChip).join('')}</span>
+                </div>
+            ` : ''}
+            <div class="detail-row">
+                <span class="detail-label">Teams:</span>
+                <span class="detail-value">${teams}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Projects:</span>
+                <span class="detail-value">${projects}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Data Sources:</span>
+                <span class="detail-value">${dataSources}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Services:</span>
+                <span class="detail-value">${services}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Status:</span>
+                <span class="detail-value">${renderStatusBadge(person.status || 'active')}</span>
+            </div>
+        </div>
+    `;
+    
+    modal.classList.add('active');
+    setOpenModal({ type: 'person', id: AppState.selectedPersonKey });
+}
+
+function showEntityDetails(type, requestedName) {
+    const config = ENTITY_TYPES[type];
+    if (!config) return;
+    
+    // Links and saved views may still use a spelling that is now an alias
+    const name = resolveEntityName(type, requestedName);
+    const aliases = getEntityAliases(type, name);
+    const summary = buildEntitySummary(type, name);
+    const modalBody = document.getElementById('entityModalBody');
+    
+    // Detail modals replace each other so navigation never stacks them
+    document.getElementById('personModal').classList.remove('active');
+    AppState.selectedPersonKey = null;
+    
+    document.getElementById('entityModalTitle').textContent = `${config.label}: ${name}`;
+    
+    const memberCard = person => `
+        <div class="owner-card" data-action="show-person" data-person-id="${getPersonId(person)}">
+            <div class="owner-info">
+                <strong>${escapeHtml(person.name)}</strong> - ${escapeHtml(person.role)}
+                ${type === 'dataSource' ? renderAccessRoleBadge(getAccessRole(person, name)) : ''}
+                <br><small>${escapeHtml(person.institution || 'No institution')}</small>
+                <br><small>${escapeHtml(person.email)}</small>
+            </div>
+        </div>
+    `;
+    
+    const memberList = config.groupByTeam ? 
+        groupMembersByTeam(summary.members).map(group => `
+            <div class="entity-member-group">
+                <h4>${escapeHtml(group.team)} (${group.members.length})</h4>
+                <div class="data-source-owners-list">${group.members.map(memberCard).join('')}</div>
+            </div>
+        `).join('') : 
+        `<div class="data-source-owners-list">${summary.members.map(memberCard).join('')}</div>`;
+    
+    const relatedRows = Object.entries(summary.related)
+        .filter(([, entries]) => entries.length > 0)
+        .map(([other, entries]) => `
+            <div class="detail-row">
+                <span class="detail-label">${ENTITY_TYPES[other].plural}:</span>
+                <span class="detail-value">
+                    ${entries.map(([value, count]) => renderEntityTag(value, other, { count })).join('')}
+                </span>
+            </div>
+        `).join('');
+    
+    modalBody.innerHTML = `
+        <div class="entity-details">
+            ${summary.busFactorRisk ? `
+                <div class="risk-warning">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    Bus-factor risk: ${escapeHtml(summary.members[0].name)} is the only administrator of this service.
+                </div>
+            ` : ''}
+            ${aliases.length > 0 ? `
+                <p class="entity-aliases"><i class="fas fa-tags"></i> Also recorded as ${aliases.map(escapeHtml).join(', ')}</p>
+            ` : ''}
+            ${renderEntityMetadataDetails(type, summary.metadata)}
+            ${type === 'dataSource' ? renderDataSourceGovernance(name) : ''}
+            <h3>${config.memberLabel} (${summary.members.length})</h3>
+            <div class="institution-breakdown">
+                ${renderBreakdown(
+                    config.breakdown === 'role' ? summary.roleCount : summary.institutionCount,
+                    config.breakdown === 'role' ? 'role-badge' : 'inst-badge',
+                    false
+                )}
+            </div>
+            ${summary.members.length > 0 ? memberList : `<p style="color: var(--gray-500);">No ${config.memberLabel.toLowerCase()} in the current filter</p>`}
+            ${relatedRows ? `
+                <h3 class="entity-related-title">Related</h3>
+                <div class="person-details-modal">${relatedRows}</div>
+            ` : ''}
+        </div>
+    `;
+    
+    document.getElementById('entityModal').classList.add('active');
+    setOpenModal({ type, id: name });
+}
+
+function closePersonModal() {
+    document.getElementById('personModal').classList.remove('active');
+    AppState.selectedPersonKey = null;
+    if (AppState.openModal && AppState.openModal.type === 'person') {
+        setOpenModal(null);
+    }
+}
+
+function closeEntityModal() {
+    document.getElementById('entityModal').classList.remove('active');
+    if (AppState.openModal && AppState.openModal.type !== 'person') {
+        setOpenModal(null);
+    }
+}
+
+function setOpenModal(modal) {
+    AppState.openModal = modal;
+    updateUrlState();
+}
+
+// ================================
+// URL STATE
+// ================================
+/**
+ * View, search, facets, sort, page and the open detail modal are mirrored
+ * in the URL hash, e.g. #view=table&team=Translational+TB&dataSource=Dropbox
+ * or #open=person:person1@company.com, so any state can be bookmarked or
+ * shared and back/forward step through it. A facet with several values
+ * repeats its key (team=A&team=B); teamMode=and switches it to AND.
+ */
+
+// Off until the state in the initial URL has been applied, so loading data
+// on startup cannot overwrite a shared link
+let urlStateReady = false;
+let restoringUrlState = false;
+
+function buildUrlState() {
+    const params = new URLSearchParams();
+    
+    if (AppState.currentView !== 'grid') {
+        params.set('view', AppState.currentView);
+    }
+    const search = document.getElementById('searchInput').value;
+    if (search) {
+        params.set('q', search);
+    }
+    FACETS.forEach(facet => {
+        const state = getFacetState(facet.key);
+        state.selected.forEach(value => params.append(facet.key, value));
+        if (state.mode === 'and') {
+            params.set(`${facet.key}Mode`, 'and');
+        }
+    });
+    if (AppState.sortColumn) {
+        params.set('sort', AppState.sortColumn);
+        params.set('dir', AppState.sortDirection);
+    }
+    if (AppState.currentPage > 1) {
+        params.set('page', AppState.currentPage);
+    }
+    if (AppState.openModal) {
+        params.set('open', `${AppState.openModal.type}:${AppState.openModal.id}`);
+    }
+    
+    return params.toString();
+}
+
+function updateUrlState(replace = false) {
+    if (!urlStateReady || restoringUrlState) return;
+    
+    renderSavedViewsBar();
+    
+    const hash = buildUrlState();
+    if (hash === window.location.hash.slice(1)) return;
+    
+    const url = hash ? `#${hash}` : window.location.pathname + window.location.search;
+    if (replace) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+}
+
+function applyUrlState() {
+    if (!AppState.hasData) return;
+    
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    restoringUrlState = true;
+    
+    try {
+        document.getElementById('searchInput').value = params.get('q') || '';
+        FACETS.forEach(facet => {
+            AppState.facets[facet.key] = {
+                selected: new Set(params.getAll(facet.key)),
+                mode: params.get(`${facet.key}Mode`) === 'and' ? 'and' : 'or'
+            };
+        });
+        
+        AppState.sortColumn = params.get('sort');
+        AppState.sortDirection = params.get('dir') === 'desc' ? 'desc' : 'asc';
+        
+        const view = params.get('view');
+        const knownView = Array.from(document.querySelectorAll('.tab-btn')).some(btn => btn.dataset.view === view);
+        AppState.currentView = knownView ? view : 'grid';
+        
+        applyFilters();
+        switchView(AppState.currentView);
+        const page = Number(params.get('page'));
+        if (page > 1) {
+            changePage(page);
+        }
+        
+        restoreOpenModal(params.get('open'));
+    } finally {
+        restoringUrlState = false;
+        urlStateReady = true;
+    }
+    
+    renderSavedViewsBar();
+}
+
+function restoreOpenModal(value) {
+    document.getElementById('personModal').classList.remove('active');
+    document.getElementById('entityModal').classList.remove('active');
+    AppState.selectedPersonKey = null;
+    AppState.openModal = null;
+    
+    if (!value || !value.includes(':')) return;
+    
+    const separator = value.indexOf(':');
+    const type = value.slice(0, separator);
+    const id = value.slice(separator + 1);
+    
+    if (type === 'person') {
+        const person = findPersonByKey(id);
+        if (person) {
+            showPersonDetails(person);
+        }
+    } else if (ENTITY_TYPES[type]) {
+        showEntityDetails(type, id);
+    }
+}
+
+// ================================
+// SAVED VIEWS
+// ================================
+// A saved view is the URL state minus the page and any open modal, so
+// applying one is the same as following a shared link.
+const SAVED_VIEWS_KEY = 'orgChartSavedViews';
+const SAVED_VIEWS_FORMAT = 'org-chart-saved-views';
+
+function loadSavedViews() {
+    try {
+        const views = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) || '[]');
+        AppState.savedViews = Array.isArray(views) ? views.map(normalizeSavedView).filter(Boolean) : [];
+    } catch (error) {
+        console.warn('Could not read saved views:', error);
+        AppState.savedViews = [];
+    }
+    renderSavedViewsBar();
+}
+
+function persistSavedViews() {
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(AppState.savedViews));
+    renderSavedViewsBar();
+    renderSavedViewsList();
+}
+
+/**
+ * Checks a stored or imported view. Returns a clean copy, or null when the
+ * entry has no usable name or state.
+ */
+function normalizeSavedView(view) {
+    if (!view || typeof view.name !== 'string' || typeof view.state !== 'string') return null;
+    
+    const name = view.name.trim();
+    if (!name) return null;
+    
+    const params = new URLSearchParams(view.state.replace(/^#/, ''));
+    params.delete('page');
+    params.delete('open');
+    
+    return {
+        name,
+        state: params.toString(),
+        pinned: view.pinned !== false,
+        created: typeof view.created === 'string' ? view.created : new Date().toISOString()
+    };
+}
+
+function getSavedViewState() {
+    const params = new URLSearchParams(buildUrlState());
+    params.delete('page');
+    params.delete('open');
+    return params.toString();
+}
+
+function findSavedView(name) {
+    const key = name.trim().toLowerCase();
+    return AppState.savedViews.find(view => view.name.toLowerCase() === key);
+}
+
+/** Describes the search and facet filters in URL state params, one string per filter. */
+function describeFilterParams(params) {
+    const parts = [];
+    if (params.get('q')) {
+        parts.push(`Search "${params.get('q')}"`);
+    }
+    FACETS.forEach(facet => {
+        const values = params.getAll(facet.key);
+        if (values.length > 0) {
+            const joiner = params.get(`${facet.key}Mode`) === 'and' ? ' + ' : ', ';
+            parts.push(`${facet.label}: ${values.join(joiner)}`);
+        }
+    });
+    return parts;
+}
+
+/**
+ * Summarizes a view's state for the saved views list, e.g.
+ * "Table View · Search "nonmem" · Team: Malaria, HIV · sorted by name".
+ */
+function describeSavedView(view) {
+    const params = new URLSearchParams(view.state);
+    const viewName = params.get('view') || 'grid';
+    const tab = Array.from(document.querySelectorAll('.tab-btn')).find(btn => btn.dataset.view === viewName);
+    const parts = [tab ? tab.textContent.trim() : 'Grid View', ...describeFilterParams(params)];
+    
+    if (params.get('sort')) {
+        parts.push(`sorted by ${params.get('sort')}${params.get('dir') === 'desc' ? ' (descending)' : ''}`);
+    }
+    
+    return parts.join(' · ');
+}
+
+function renderSavedViewsBar() {
+    const container = document.getElementById('savedViewsPins');
+    const pinned = AppState.savedViews.filter(view => view.pinned);
+    const current = AppState.hasData ? getSavedViewState() : null;
+    
+    container.innerHTML = pinned.map(view => `
+        <button class="saved-view-chip ${view.state === current ? 'active' : ''}" data-action="apply-saved-view" 
+                data-name="${escapeHtml(view.name)}" title="${escapeHtml(describeSavedView(view))}">
+            <i class="fas fa-bookmark"></i>
+            ${escapeHtml(view.name)}
+        </button>
+    `).join('');
+}
+
+function renderSavedViewsList() {
+    const container = document.getElementById('savedViewsList');
+    
+    if (AppState.savedViews.length === 0) {
+        container.innerHTML = '<p class="history-empty">No saved views yet</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="table-container">
+            <table class="data-table saved-views-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Shows</th>
+                        <th>Pinned</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${AppState.savedViews.map(view => `
+                        <tr>
+                            <td><strong>${escapeHtml(view.name)}</strong></td>
+                            <td>${escapeHtml(describeSavedView(view))}</td>
+                            <td>
+                                <input type="checkbox" data-action="toggle-saved-view-pin" data-name="${escapeHtml(view.name)}" 
+                                       ${view.pinned ? 'checked' : ''} aria-label="Pin ${escapeHtml(view.name)}">
+                            </td>
+                            <td class="saved-view-actions">
+                                <button class="btn-secondary" data-action="apply-saved-view" data-name="${escapeHtml(view.name)}">
+                                    <i class="fas fa-eye"></i>
+                                    Apply
+                                </button>
+                                <button class="btn-icon" data-action="share-saved-view" data-name="${escapeHtml(view.name)}" title="Download as JSON">
+                                    <i class="fas fa-share-alt"></i>
+                                </button>
+                                <button class="btn-icon" data-action="delete-saved-view" data-name="${escapeHtml(view.name)}" title="Delete">
+                                    <i class="fas fa-trash"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function showSavedViewsModal() {
+    const form = document.getElementById('saveViewForm');
+    form.reset();
+    renderSavedViewsList();
+    document.getElementById('savedViewsModal').classList.add('active');
+    form.elements.name.focus();
+}
+
+function closeSavedViewsModal() {
+    document.getElementById('savedViewsModal').classList.remove('active');
+}
+
+function saveCurrentView(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const name = form.elements.name.value.trim();
+    if (!name) {
+        showToast('Enter a name for the view', 'error');
+        form.elements.name.focus();
+        return;
+    }
+    
+    const existing = findSavedView(name);
+    if (existing && !confirm(`Replace the saved view "${existing.name}"?`)) {
+        return;
+    }
+    
+    const view = normalizeSavedView({
+        name,
+        state: getSavedViewState(),
+        pinned: form.elements.pinned.checked
+    });
+    if (existing) {
+        AppState.savedViews[AppState.savedViews.indexOf(existing)] = view;
+    } else {
+        AppState.savedViews.push(view);
+    }
+    
+    persistSavedViews();
+    form.reset();
+    showToast(`Saved view "${name}"`, 'success');
+}
+
+function applySavedView(name) {
+    const view = findSavedView(name);
+    if (!view || !AppState.hasData) return;
+    
+    const url = view.state ? `#${view.state}` : window.location.pathname + window.location.search;
+    history.pushState(null, '', url);
+    applyUrlState();
+    closeSavedViewsModal();
+}
+
+function toggleSavedViewPin(name, pinned) {
+    const view = findSavedView(name);
+    if (!view) return;
+    
+    view.pinned = pinned;
+    persistSavedViews();
+}
+
+function deleteSavedView(name) {
+    const view = findSavedView(name);
+    if (!view || !confirm(`Delete the saved view "${view.name}"?`)) return;
+    
+    AppState.savedViews.splice(AppState.savedViews.indexOf(view), 1);
+    persistSavedViews();
+    showToast(`Deleted view "${view.name}"`, 'success');
+}
+
+function exportSavedViews(views = AppState.savedViews, filename = 'saved_views.json') {
+    if (views.length === 0) {
+        showToast('There are no saved views to export', 'warning');
+        return;
+    }
+    
+    const content = JSON.stringify({
+        format: SAVED_VIEWS_FORMAT,
+        version: 1,
+        exported: new Date().toISOString(),
+        views: views.map(({ name, state, pinned }) => ({ name, state, pinned }))
+    }, null, 2);
+    downloadFile(content, filename, 'application/json');
+    showToast(`Exported ${views.length} saved view${views.length === 1 ? '' : 's'}`, 'success');
+}
+
+function shareSavedView(name) {
+    const view = findSavedView(name);
+    if (!view) return;
+    
+    const slug = view.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'view';
+    exportSavedViews([view], `saved_view_${slug}.json`);
+}
+
+/**
+ * Accepts an export file, a bare array of views or a single view. Imported
+ * views replace saved views with the same name.
+ */
+async function importSavedViews(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    let parsed;
+    try {
+        parsed = JSON.parse(await file.text());
+    } catch (error) {
+        showToast(`${file.name} is not valid JSON`, 'error');
+        return;
+    }
+    
+    const entries = Array.isArray(parsed) ? parsed : (Array.isArray(parsed && parsed.views) ? parsed.views : [parsed]);
+    const views = entries.map(normalizeSavedView).filter(Boolean);
+    if (views.length === 0) {
+        showToast(`${file.name} contains no saved views`, 'error');
+        return;
+    }
+    
+    views.forEach(view => {
+        const existing = findSavedView(view.name);
+        if (existing) {
+            AppState.savedViews[AppState.savedViews.indexOf(existing)] = view;
+        } else {
+            AppState.savedViews.push(view);
+        }
+    });
+    
+    persistSavedViews();
+    const skipped = entries.length - views.length;
+    showToast(`Imported ${views.length} saved view${views.length === 1 ? '' : 's'}${skipped ? ` (${skipped} invalid skipped)` : ''}`, 'success');
+}
+
+// ================================
+// ACCESS CONTROL
+// ================================
+/**
+ * Auth providers share one interface:
+ *   signIn(form)   -> user | null  (null when the provider redirects away)
+ *   completeSignIn() -> user | null (called on load, e.g. for OIDC redirects)
+ *   signOut()
+ * A user is { name, role, provider }. Other providers can be added with
+ * registerAuthProvider(). Everything here runs in the browser, so roles gate
+ * the interface only; they cannot protect data that is already published.
+ */
+const AuthProviders = {};
+
+function registerAuthProvider(name, provider) {
+    AuthProviders[name] = provider;
+}
+
+function getAuthProvider() {
+    const provider = AuthProviders[AuthConfig.provider];
+    if (!provider) {
+        throw new Error(`Unknown auth provider "${AuthConfig.provider}"`);
+    }
+    return provider;
+}
+
+function getCurrentRole() {
+    return AppState.user ? AppState.user.role : AuthConfig.defaultRole;
+}
+
+function can(action) {
+    return ROLE_LEVELS[getCurrentRole()] >= ROLE_LEVELS[PERMISSIONS[action]];
+}
+
+function requirePermission(action) {
+    if (can(action)) return true;
+    showToast(`You need the ${PERMISSIONS[action]} role to do that`, 'error');
+    return false;
+}
+
+async function initializeAuth() {
+    const saved = sessionStorage.getItem('orgChartSession');
+    if (saved) {
+        try {
+            const session = JSON.parse(saved);
+            if (session.provider === AuthConfig.provider && session.expiresAt > Date.now()) {
+                AppState.user = session.user;
+            }
+        } catch (error) {
+            console.error('Error restoring session:', error);
+        }
+    }
+    
+    try {
+        const provider = getAuthProvider();
+        if (provider.completeSignIn) {
+            const user = await provider.completeSignIn();
+            if (user) {
+                setSignedInUser(user);
+                showToast(`Signed in as ${user.name} (${user.role})`, 'success');
+            }
+        }
+    } catch (error) {
+        console.error('Sign-in failed:', error);
+        showToast('Sign-in failed: ' + error.message, 'error');
+    }
+    
+    applyRoleVisibility();
+}
+
+function setSignedInUser(user, lifetimeMs = 8 * 60 * 60 * 1000) {
+    AppState.user = user;
+    sessionStorage.setItem('orgChartSession', JSON.stringify({
+        provider: AuthConfig.provider,
+        user,
+        expiresAt: Date.now() + lifetimeMs
+    }));
+    applyRoleVisibility();
+}
+
+function signOut() {
+    const provider = AuthProviders[AuthConfig.provider];
+    if (provider && provider.signOut) {
+        provider.signOut();
+    }
+    AppState.user = null;
+    sessionStorage.removeItem('orgChartSession');
+    applyRoleVisibility();
+    
+    // Leave any screen the viewer role cannot use
+    if (document.getElementById('dataImportSection').style.display !== 'none') {
+        hideImportSection();
+    }
+    closePersonEditor();
+    closeHistoryModal();
+    showToast('Signed out', 'info');
+}
+
+function applyRoleVisibility() {
+    document.querySelectorAll('[data-requires]').forEach(element => {
+        element.hidden = !can(element.dataset.requires);
+    });
+    
+    const user = AppState.user;
+    document.getElementById('signInBtn').hidden = Boolean(user);
+    document.getElementById('signOutBtn').hidden = !user;
+    document.getElementById('currentUser').hidden = !user;
+    document.getElementById('currentUser').textContent = user ? `${user.name} · ${user.role}` : '';
+}
+
+function showSignInModal() {
+    const provider = getAuthProvider();
+    const form = document.getElementById('signInForm');
+    form.reset();
+    document.getElementById('signInError').textContent = '';
+    document.getElementById('signInPassphraseField').hidden = !provider.usesPassphrase;
+    document.getElementById('signInHint').textContent = provider.hint ? provider.hint() : '';
+    document.getElementById('signInModal').classList.add('active');
+    if (provider.usesPassphrase) {
+        form.elements.passphrase.focus();
+    }
+}
+
+function closeSignInModal() {
+    document.getElementById('signInModal').classList.remove('active');
+}
+
+async function submitSignIn(e) {
+    e.preventDefault();
+    const errorElement = document.getElementById('signInError');
+    errorElement.textContent = '';
+    
+    try {
+        const user = await getAuthProvider().signIn(e.target);
+        if (user) {
+            setSignedInUser(user);
+            closeSignInModal();
+            showToast(`Signed in as ${user.role}`, 'success');
+        }
+    } catch (error) {
+        errorElement.textContent = error.message;
+    }
+}
+
+// Helpers shared by the providers
+function bytesToHex(buffer) {
+    return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function base64UrlEncode(buffer) {
+    return btoa(String.fromCharCode(...new Uint8Array(buffer)))
+        .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomToken(byteLength = 32) {
+    return base64UrlEncode(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+/**
+ * PBKDF2-SHA256 hash of a passphrase, hex encoded. Run
+ * `await hashPassphrase('…', 'some-salt')` in the console to produce an
+ * entry for AuthConfig.passphrases.
+ */
+async function hashPassphrase(passphrase, salt, iterations = AuthConfig.iterations) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: encoder.encode(salt), iterations },
+        key,
+        256
+    );
+    return bytesToHex(bits);
+}
+
+// Static passphrase provider: compares against hashes shipped in AuthConfig
+registerAuthProvider('passphrase', {
+    usesPassphrase: true,
+    
+    hint() {
+        return AuthConfig.passphrases.length > 0 ? 
+            'Enter the editor or admin passphrase you were given.' : 
+            'No passphrases are configured for this site; see the README to add one.';
+    },
+    
+    async signIn(form) {
+        const passphrase = form.elements.passphrase.value;
+        if (!passphrase) {
+            throw new Error('Enter a passphrase');
+        }
+        
+        // Check the highest roles first so a shared passphrase grants the most access
+        const entries = [...AuthConfig.passphrases].sort((a, b) => ROLE_LEVELS[b.role] - ROLE_LEVELS[a.role]);
+        for (const entry of entries) {
+            const hash = await hashPassphrase(passphrase, entry.salt, entry.iterations || AuthConfig.iterations);
+            if (hash === entry.hash) {
+                const label = entry.role.charAt(0).toUpperCase() + entry.role.slice(1);
+                return { name: entry.name || label, role: entry.role, provider: 'passphrase' };
+            }
+        }
+        throw new Error('Incorrect passphrase');
+    }
+});
+
+// OIDC provider: authorization code flow with PKCE, ID token verified against the issuer's JWKS
+registerAuthProvider('oidc', {
+    usesPassphrase: false,
+    
+    hint() {
+        return AuthConfig.oidc.issuer ? 
+            `You will be redirected to ${AuthConfig.oidc.issuer} to sign in.` : 
+            'No identity provider is configured for this site.';
+    },
+    
+    async discover() {
+        const { issuer } = AuthConfig.oidc;
+        if (!issuer || !AuthConfig.oidc.clientId) {
+            throw new Error('OIDC issuer and client id must be configured');
+        }
+        const response = await fetch(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+        if (!response.ok) {
+            throw new Error(`Could not load OIDC configuration (HTTP ${response.status})`);
+        }
+        return response.json();
+    },
+    
+    redirectUri() {
+        return AuthConfig.oidc.redirectUri || window.location.origin + window.location.pathname;
+    },
+    
+    async signIn() {
+        const metadata = await this.discover();
+        const verifier = randomToken();
+        const challenge = base64UrlEncode(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)));
+        const state = randomToken(16);
+        const nonce = randomToken(16);
+        sessionStorage.setItem('orgChartOidc', JSON.stringify({ verifier, state, nonce, hash: window.location.hash }));
+        
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: AuthConfig.oidc.clientId,
+            redirect_uri: this.redirectUri(),
+            scope: AuthConfig.oidc.scope,
+            state,
+            nonce,
+            code_challenge: challenge,
+            code_challenge_method: 'S256'
+        });
+        window.location.assign(`${metadata.authorization_endpoint}?${params}`);
+        return null;
+    },
+    
+    async completeSignIn() {
+        const params = new URLSearchParams(window.location.search);
+        const pending = sessionStorage.getItem('orgChartOidc');
+        if (!pending || !params.has('state')) {
+            return null;
+        }
+        sessionStorage.removeItem('orgChartOidc');
+        const { verifier, state, nonce, hash } = JSON.parse(pending);
+        
+        // Drop the code from the address bar whatever happens next
+        window.history.replaceState(null, '', window.location.pathname + (hash || ''));
+        
+        if (params.get('state') !== state) {
+            throw new Error('Sign-in response did not match the request');
+        }
+        if (params.has('error')) {
+            throw new Error(params.get('error_description') || params.get('error'));
+        }
+        
+        const metadata = await this.discover();
+        const response = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                code: params.get('code'),
+                redirect_uri: this.redirectUri(),
+                client_id: AuthConfig.oidc.clientId,
+                code_verifier: verifier
+            })
+        });
+        if (!response.ok) {
+            throw new Error(`Token request failed (HTTP ${response.status})`);
+        }
+        const tokens = await response.json();
+        const claims = await this.verifyIdToken(tokens.id_token, metadata, nonce);
+        
+        return {
+            name: claims.name || claims.email || claims.sub,
+            role: this.mapRole(claims),
+            provider: 'oidc'
+        };
+    },
+    
+    async verifyIdToken(idToken, metadata, nonce) {
+        if (!idToken) {
+            throw new Error('No ID token returned');
+        }
+        const [headerPart, payloadPart, signaturePart] = idToken.split('.');
+        const header = JSON.parse(new TextDecoder().decode(base64UrlDecode(headerPart)));
+        const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payloadPart)));
+        
+        if (header.alg !== 'RS256') {
+            throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+        }
+        const jwks = await (await fetch(metadata.jwks_uri)).json();
+        const jwk = jwks.keys.find(key => !header.kid || key.kid === header.kid);
+        if (!jwk) {
+            throw new Error('ID token signing key not found');
+        }
+        const key = await crypto.subtle.importKey(
+            'jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']
+        );
+        const valid = await crypto.subtle.verify(
+            'RSASSA-PKCS1-v1_5',
+            key,
+            base64UrlDecode(signaturePart),
+            new TextEncoder().encode(`${headerPart}.${payloadPart}`)
+        );
+        
+        const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!valid) throw new Error('ID token signature is invalid');
+        if (claims.iss !== metadata.issuer) throw new Error('ID token issuer does not match');
+        if (!audience.includes(AuthConfig.oidc.clientId)) throw new Error('ID token was issued for another client');
+        if (claims.nonce !== nonce) throw new Error('ID token nonce does not match');
+        if (claims.exp * 1000 < Date.now()) throw new Error('ID token has expired');
+        
+        return claims;
+    },
+    
+    mapRole(claims) {
+        const raw = claims[AuthConfig.oidc.roleClaim];
+        const values = Array.isArray(raw) ? raw : (raw ? [raw] : []);
+        return values
+            .map(value => AuthConfig.oidc.roleMap[value])
+            .filter(Boolean)
+            .reduce((best, role) => (ROLE_LEVELS[role] > ROLE_LEVELS[best] ? role : best), AuthConfig.defaultRole);
+    }
+});
+
+// ================================
+// PERSON EDITING
+// ================================
+const EDITABLE_FIELDS = ['name', 'email', 'role', 'institution', 'status', 'reports_to'];
+
+function findPersonByKey(key) {
+    return AppState.rawData.find(person => getPersonKey(person) === key) || null;
+}
+
+function getTagOptions(field) {
+    const sets = {
+        team: AppState.teams,
+        projects: AppState.projects,
+        data_sources: AppState.dataSources,
+        services: AppState.services
+    };
+    return Array.from(sets[field]).sort();
+}
+
+function showPersonEditor(person = null) {
+    if (!requirePermission('edit')) return;
+    
+    const modal = document.getElementById('personEditModal');
+    const form = document.getElementById('personEditForm');
+    
+    document.getElementById('personEditTitle').textContent = person ? `Edit ${person.name}` : 'Add Person';
+    form.reset();
+    
+    AppState.editForm = {
+        key: person ? getPersonKey(person) : null,
+        tags: {}
+    };
+    
+    EDITABLE_FIELDS.forEach(field => {
+        form.elements[field].value = person ? (person[field] || '') : '';
+    });
+    form.elements.reports_to.value = person ? getManagerRef(person) : '';
+    if (!form.elements.status.value) {
+        form.elements.status.value = 'active';
+    }
+    
+    // Suggestions for single-value fields
+    document.getElementById('institutionOptions').innerHTML = Array.from(AppState.institutions).sort()
+        .map(inst => `<option value="${escapeHtml(inst)}">`).join('');
+    document.getElementById('managerOptions').innerHTML = AppState.rawData
+        .filter(p => !person || getPersonKey(p) !== getPersonKey(person))
+        .map(p => `<option value="${escapeHtml(p.email)}">${escapeHtml(p.name)}</option>`).join('');
+    
+    // Tag pickers for multi-value fields
+    Object.keys(TAG_FIELDS).forEach(field => {
+        AppState.editForm.tags[field] = person && person[field] ? 
+            person[field].split(';').map(tag => tag.trim()).filter(Boolean) : [];
+        document.getElementById(`tagOptions-${field}`).innerHTML = getTagOptions(field)
+            .map(tag => `<option value="${escapeHtml(tag)}">`).join('');
+        renderTagPicker(field);
+    });
+    
+    document.getElementById('personEditError').textContent = '';
+    closePersonModal();
+    modal.classList.add('active');
+    form.elements.name.focus();
+}
+
+function closePersonEditor() {
+    document.getElementById('personEditModal').classList.remove('active');
+    AppState.editForm = null;
+}
+
+function renderTagPicker(field) {
+    const chips = document.querySelector(`.tag-picker[data-field="${field}"] .tag-picker-chips`);
+    chips.innerHTML = '';
+    
+    AppState.editForm.tags[field].forEach((tag, index) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-picker-chip';
+        chip.textContent = tag;
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.title = `Remove ${tag}`;
+        remove.innerHTML = '<i class="fas fa-times"></i>';
+        remove.addEventListener('click', () => {
+            AppState.editForm.tags[field].splice(index, 1);
+            renderTagPicker(field);
+        });
+        
+        chip.appendChild(remove);
+        chips.appendChild(chip);
+    });
+}
+
+function addPickerTag(field, value) {
+    const tag = value.trim().replace(/\s+/g, ' ').replace(/;/g, '');
+    if (!tag) return;
+    
+    // Reuse the existing spelling when the tag only differs by case
+    const existing = getTagOptions(field).find(option => option.toLowerCase() === tag.toLowerCase());
+    const tags = AppState.editForm.tags[field];
+    const finalTag = existing || tag;
+    if (!tags.some(t => t.toLowerCase() === finalTag.toLowerCase())) {
+        tags.push(finalTag);
+    }
+    renderTagPicker(field);
+}
+
+function initializeTagPickers() {
+    document.querySelectorAll('.tag-picker').forEach(picker => {
+        const field = picker.dataset.field;
+        const input = picker.querySelector('input');
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ',') {
+                e.preventDefault();
+                addPickerTag(field, input.value);
+                input.value = '';
+            } else if (e.key === 'Backspace' && !input.value && AppState.editForm.tags[field].length > 0) {
+                AppState.editForm.tags[field].pop();
+                renderTagPicker(field);
+            }
+        });
+        
+        // Picking a datalist suggestion fires an input event with the full value
+        input.addEventListener('input', (e) => {
+            if (e.inputType === 'insertReplacementText' || !e.inputType) {
+                if (getTagOptions(field).includes(input.value)) {
+                    addPickerTag(field, input.value);
+                    input.value = '';
+                }
+            }
+        });
+        
+        input.addEventListener('blur', () => {
+            addPickerTag(field, input.value);
+            input.value = '';
+        });
+        
+        picker.addEventListener('click', () => input.focus());
+    });
+}
+
+function readPersonForm() {
+    const form = document.getElementById('personEditForm');
+    const record = {};
+    EDITABLE_FIELDS.forEach(field => {
+        record[field] = form.elements[field].value.trim();
+    });
+    Object.keys(TAG_FIELDS).forEach(field => {
+        record[field] = AppState.editForm.tags[field].join(';');
+    });
+    return record;
+}
+
+function validatePersonRecord(record, originalKey) {
+    for (const field of REQUIRED_FIELDS) {
+        if (!record[field]) {
+            return `${field === 'team' ? 'At least one team' : field.charAt(0).toUpperCase() + field.slice(1)} is required`;
+        }
+    }
+    if (!EMAIL_PATTERN.test(record.email)) {
+        return `"${record.email}" is not a valid email address`;
+    }
+    const key = getPersonKey(record);
+    if (key !== originalKey && findPersonByKey(key)) {
+        return `Someone with the email ${record.email} already exists`;
+    }
+    if (record.reports_to && record.reports_to.toLowerCase() === key) {
+        return 'A person cannot report to themselves';
+    }
+    return null;
+}
+
+function ensureHeaders(fields) {
+    if (AppState.csvHeaders.length === 0) {
+        AppState.csvHeaders = ['name', 'email', 'role', 'team', 'institution', 'projects', 'data_sources', 'services', 'status'];
+    }
+    const keys = new Set(AppState.csvHeaders.map(normalizeHeader));
+    fields.forEach(field => {
+        if (!keys.has(field)) {
+            AppState.csvHeaders.push(field);
+            keys.add(field);
+        }
+    });
+}
+
+/**
+ * Saves edited records through the normal load path so filters, views,
+ * localStorage and the version history all stay in sync.
+ */
+function saveEditedData(data, source) {
+    loadCSVData(data, source);
+    updateDataInfoBar(`Data loaded: ${data.length} personnel • Last updated: just now`);
+}
+
+function savePersonForm(e) {
+    e.preventDefault();
+    if (!requirePermission('edit')) return;
+    
+    const { key } = AppState.editForm;
+    const record = readPersonForm();
+    const error = validatePersonRecord(record, key);
+    if (error) {
+        document.getElementById('personEditError').textContent = error;
+        return;
+    }
+    
+    // Keep using a "manager" column if that's what the data has
+    const headerKeys = AppState.csvHeaders.map(normalizeHeader);
+    if (headerKeys.includes('manager') && !headerKeys.includes('reports_to')) {
+        record.manager = record.reports_to;
+        delete record.reports_to;
+    }
+    
+    // Only add columns that actually hold a value
+    ensureHeaders(Object.keys(record).filter(field => record[field]));
+    
+    let data;
+    if (key) {
+        const original = findPersonByKey(key);
+        const updated = { ...original, ...record };
+        data = AppState.rawData.map(person => {
+            if (person === original) return updated;
+            // Follow an email change in everyone's reporting line
+            if (key !== getPersonKey(updated) && getManagerRef(person).toLowerCase() === key) {
+                return { ...person, [person.reports_to !== undefined ? 'reports_to' : 'manager']: updated.email };
+            }
+            return person;
+        });
+    } else {
+        const blank = {};
+        AppState.csvHeaders.forEach(header => {
+            blank[normalizeHeader(header)] = '';
+        });
+        data = [...AppState.rawData, { ...blank, ...record }];
+    }
     
-    modal.classList.add('active');
-}
-
-function closePersonModal() {
-    document.getElementById('personModal').classList.remove('active');
+    saveEditedData(data, `${key ? 'Edited' : 'Added'} ${record.name}`);
+    closePersonEditor();
+    showToast(`${record.name} ${key ? 'updated' : 'added'}`, 'success');
 }
 
-function closeProjectModal() {
-    document.getElementById('projectModal').classList.remove('active');
+function togglePersonStatus() {
+    if (!requirePermission('edit')) return;
+    
+    const person = findPersonByKey(AppState.selectedPersonKey);
+    if (!person) return;
+    
+    const deactivating = (person.status || 'active') !== 'inactive';
+    if (deactivating && !confirm(`Mark ${person.name} as inactive?`)) {
+        return;
+    }
+    
+    ensureHeaders(['status']);
+    const status = deactivating ? 'inactive' : 'active';
+    const data = AppState.rawData.map(p => (p === person ? { ...p, status } : p));
+    saveEditedData(data, `${deactivating ? 'Deactivated' : 'Reactivated'} ${person.name}`);
+    closePersonModal();
+    showToast(`${person.name} marked ${status}`, 'success');
 }
 
-function closeDataSourceModal() {
-    document.getElementById('dataSourceModal').classList.remove('active');
+function editSelectedPerson() {
+    const person = findPersonByKey(AppState.selectedPersonKey);
+    if (person) {
+        showPersonEditor(person);
+    }
 }
 
 // ================================
 // EXPORT FUNCTIONALITY
 // ================================
-function exportAsCSV() {
-    const headers = AppState.csvHeaders.length > 0 ? AppState.csvHeaders : 
+function getExportHeaders() {
+    return AppState.csvHeaders.length > 0 ? AppState.csvHeaders : 
         ['name', 'email', 'role', 'team', 'institution', 'projects', 'data_sources', 'services', 'status'];
+}
+
+function exportAsCSV() {
+    const headers = getExportHeaders();
     
-    const rows = [headers.join(',')];
+    const rows = [headers.map(formatCSVValue).join(',')];
     
     AppState.filteredData.forEach(person => {
         const values = headers.map(header => {
             const fieldName = header.toLowerCase().replace(/\s+/g, '_');
-            const value = person[fieldName] || '';
-            return value.includes(',') ? `"${value}"` : value;
+            return formatCSVValue(person[fieldName] || '');
         });
         rows.push(values.join(','));
     });
     
-    const csvContent = rows.join('\n');
+    const csvContent = rows.join('\r\n');
     downloadFile(csvContent, 'personnel_export.csv', 'text/csv');
     showToast('Data exported as CSV', 'success');
 }
 
+function formatCSVValue(value) {
+    // Quote fields containing delimiters, quotes or line breaks (RFC 4180)
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Exports the current results keyed by the original column names, so
+ * importing the file restores both the records and the headers.
+ */
 function exportAsJSON() {
-    const jsonContent = JSON.stringify(AppState.filteredData, null, 2);
-    downloadFile(jsonContent, 'personnel_export.json', 'application/json');
-    showToast('Data exported as JSON', 'success');
+    const headers = getExportHeaders();
+    const records = AppState.filteredData.map(person => 
+        Object.fromEntries(headers.map(header => [header, person[normalizeHeader(header)] || '']))
+    );
+    downloadFile(JSON.stringify(records, null, 2), 'personnel_export.json', 'application/json');
+    
+    if (records.length < AppState.rawData.length) {
+        showToast(`Exported the ${records.length} people in the current results; clear the filters to export everyone`, 'warning');
+    } else {
+        showToast('Data exported as JSON', 'success');
+    }
 }
 
 function exportAsPDF() {
-    window.print();
-    showToast('Use browser print dialog to save as PDF', 'info');
+    if (AppState.filteredData.length === 0) {
+        showToast('There is nobody in the current results to report on', 'warning');
+        return;
+    }
+    
+    try {
+        downloadFile(generatePdfReport(), 'org_chart_report.pdf', 'application/pdf');
+        showToast('Report exported as PDF', 'success');
+    } catch (error) {
+        console.error('PDF export failed:', error);
+        showToast(`Could not build the PDF: ${error.message}`, 'error');
+    }
 }
 
 function printReport() {
@@ -1263,22 +7577,751 @@ function downloadFile(content, filename, type) {
     URL.revokeObjectURL(url);
 }
 
+// ================================
+// PDF REPORT
+// ================================
+// Reports use the standard Helvetica fonts, which every PDF reader has, so
+// nothing is embedded and the file is built without network access. Text
+// is encoded as WinAnsi and measured with the fonts' published widths.
+const PDF_PAGE = { width: 612, height: 792, margin: 50 }; // US Letter, in points
+
+// Advance widths (1/1000 em) of the printable ASCII characters 32-126
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsi codes 128-159 differ from Latin-1; everything else up to 255 matches it
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+    '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+    '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+    'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+};
+const WIN_ANSI_WIDTHS = {
+    0x80: 556, 0x85: 1000, 0x89: 1000, 0x8C: 1000, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333,
+    0x95: 350, 0x96: 556, 0x97: 1000, 0x99: 1000, 0x9C: 944, 0xA0: 278, 0xC6: 1000, 0xDF: 611, 0xE6: 889
+};
+
+/**
+ * Converts text to WinAnsi character codes (one char per byte). Characters
+ * outside WinAnsi lose their accents if that makes them fit, else become "?".
+ */
+function encodeWinAnsi(text) {
+    let encoded = '';
+    for (const char of String(text)) {
+        const code = char.charCodeAt(0);
+        if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+            encoded += char;
+        } else if (WIN_ANSI_EXTRAS[char]) {
+            encoded += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+        } else if (char === '\t' || char === '\n' || char === '\r') {
+            encoded += ' ';
+        } else {
+            const folded = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            encoded += folded && folded.charCodeAt(0) <= 255 ? folded : '?';
+        }
+    }
+    return encoded;
+}
+
+function getCharWidth(code, bold) {
+    if (code >= 32 && code <= 126) {
+        return (bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS)[code - 32];
+    }
+    if (WIN_ANSI_WIDTHS[code]) {
+        return WIN_ANSI_WIDTHS[code];
+    }
+    // Accented letters are as wide as their base letter
+    const base = String.fromCharCode(code).normalize('NFD').charCodeAt(0);
+    return base >= 32 && base <= 126 ? getCharWidth(base, bold) : 556;
+}
+
+/** Width in points of already-encoded text. */
+function measurePdfText(encoded, size, bold = false) {
+    let width = 0;
+    for (let i = 0; i < encoded.length; i++) {
+        width += getCharWidth(encoded.charCodeAt(i), bold);
+    }
+    return (width * size) / 1000;
+}
+
+/** Breaks text into lines no wider than maxWidth, splitting long words if needed. */
+function wrapPdfText(text, size, maxWidth, bold = false) {
+    const lines = [];
+    let line = '';
+    
+    encodeWinAnsi(text).split(' ').filter(Boolean).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (measurePdfText(candidate, size, bold) <= maxWidth) {
+            line = candidate;
+            return;
+        }
+        if (line) {
+            lines.push(line);
+        }
+        line = '';
+        for (const char of word) {
+            if (line && measurePdfText(line + char, size, bold) > maxWidth) {
+                lines.push(line);
+                line = '';
+            }
+            line += char;
+        }
+    });
+    if (line || lines.length === 0) {
+        lines.push(line);
+    }
+    return lines;
+}
+
+function escapePdfString(encoded) {
+    return encoded.replace(/[\\()]/g, '\\$&');
+}
+
+function formatPdfColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [value >> 16, (value >> 8) & 0xff, value & 0xff].map(channel => (channel / 255).toFixed(3)).join(' ');
+}
+
+/**
+ * Minimal PDF writer. Coordinates are measured from the top-left corner of
+ * the page, like the layout code thinks about them; the writer flips them
+ * into PDF space. build() returns the finished file as bytes.
+ */
+function createPdfDocument(title) {
+    const { width, height } = PDF_PAGE;
+    const pages = [];
+    let current = null;
+    
+    function addPage() {
+        current = [];
+        pages.push(current);
+        return pages.length;
+    }
+    
+    function setPage(number) {
+        current = pages[number - 1];
+    }
+    
+    function text(x, y, value, { size = 10, bold = false, color = '#1f2937', align = 'left' } = {}) {
+        const encoded = encodeWinAnsi(value);
+        let left = x;
+        if (align === 'right') {
+            left = x - measurePdfText(encoded, size, bold);
+        } else if (align === 'center') {
+            left = x - measurePdfText(encoded, size, bold) / 2;
+        }
+        current.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${formatPdfColor(color)} rg ${left.toFixed(2)} ${(height - y).toFixed(2)} Td (${escapePdfString(encoded)}) Tj ET`);
+    }
+    
+    function line(x1, y1, x2, y2, { color = '#d1d5db', lineWidth = 0.5 } = {}) {
+        current.push(`${formatPdfColor(color)} RG ${lineWidth} w ${x1.toFixed(2)} ${(height - y1).toFixed(2)} m ${x2.toFixed(2)} ${(height - y2).toFixed(2)} l S`);
+    }
+    
+    function rect(x, y, w, h, color) {
+        current.push(`${formatPdfColor(color)} rg ${x.toFixed(2)} ${(height - y - h).toFixed(2)} ${w.toFixed(2)} ${h.toFixed(2)} re f`);
+    }
+    
+    function build() {
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            null, // Page tree, filled in once the pages are numbered
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+            '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+        ];
+        
+        const kids = pages.map(operations => {
+            const stream = operations.join('\n');
+            objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+            objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` + 
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+            return `${objects.length} 0 R`;
+        });
+        objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${pages.length} >>`;
+        
+        const now = new Date();
+        const pad = value => String(value).padStart(2, '0');
+        const date = `D:${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+        objects.push(`<< /Title (${escapePdfString(encodeWinAnsi(title))}) /Producer (Organizational Chart) /CreationDate (${date}) >>`);
+        
+        // Every character is a single byte, so string offsets are byte offsets
+        let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        
+        const xref = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+        
+        return Uint8Array.from(output, char => char.charCodeAt(0));
+    }
+    
+    return {
+        addPage,
+        setPage,
+        text,
+        line,
+        rect,
+        build,
+        get pageCount() {
+            return pages.length;
+        }
+    };
+}
+
+/**
+ * Flows headings, paragraphs and tables down the page, starting a new page
+ * when the next block does not fit. Tables repeat their header row on
+ * every page they continue onto.
+ */
+function createReportLayout(pdf) {
+    const { width, height, margin } = PDF_PAGE;
+    const contentWidth = width - margin * 2;
+    const bottom = height - margin - 20; // Leaves room for the footer
+    let y = 0;
+    let section = '';
+    
+    function newPage() {
+        pdf.addPage();
+        pdf.text(margin, margin - 15, section, { size: 8, color: '#6b7280' });
+        pdf.line(margin, margin - 10, width - margin, margin - 10);
+        y = margin + 10;
+    }
+    
+    function ensureSpace(needed) {
+        if (y + needed > bottom) {
+            newPage();
+        }
+    }
+    
+    function startSection(title) {
+        section = title;
+        newPage();
+        heading(title, 1);
+    }
+    
+    function heading(value, level = 2) {
+        const size = level === 1 ? 20 : 13;
+        // Keep a heading with at least a few lines of what follows
+        ensureSpace(size + 50);
+        y += size;
+        pdf.text(margin, y, value, { size, bold: true, color: level === 1 ? '#1e40af' : '#1f2937' });
+        y += level === 1 ? 16 : 8;
+    }
+    
+    function paragraph(value, { size = 10, bold = false, color = '#374151', indent = 0 } = {}) {
+        const leading = size * 1.4;
+        wrapPdfText(value, size, contentWidth - indent, bold).forEach(textLine => {
+            ensureSpace(leading);
+            y += leading;
+            pdf.text(margin + indent, y - size * 0.3, textLine, { size, bold, color });
+        });
+    }
+    
+    function space(amount) {
+        y += amount;
+    }
+    
+    /** columns: [{ label, width (fraction of the content width) }], rows: arrays of strings. */
+    function table(columns, rows, { size = 8.5 } = {}) {
+        const leading = size * 1.35;
+        const padding = 4;
+        const widths = columns.map(column => column.width * contentWidth);
+        
+        function drawRow(cells, options) {
+            const wrapped = cells.map((cell, index) => wrapPdfText(cell, size, widths[index] - padding * 2, options.bold));
+            const rowHeight = Math.max(...wrapped.map(lines => lines.length)) * leading + padding * 2;
+            if (options.fill) {
+                pdf.rect(margin, y, contentWidth, rowHeight, options.fill);
+            }
+            let x = margin;
+            wrapped.forEach((lines, index) => {
+                lines.forEach((textLine, lineIndex) => {
+                    pdf.text(x + padding, y + padding + (lineIndex + 1) * leading - size * 0.3, textLine, 
+                        { size, bold: options.bold, color: options.color || '#374151' });
+                });
+                x += widths[index];
+            });
+            y += rowHeight;
+            pdf.line(margin, y, margin + contentWidth, y, { color: '#e5e7eb' });
+            return rowHeight;
+        }
+        
+        const measure = cells => Math.max(...cells.map((cell, index) => 
+            wrapPdfText(cell, size, widths[index] - padding * 2).length)) * leading + padding * 2;
+        const header = () => drawRow(columns.map(column => column.label), { bold: true, fill: '#dbeafe', color: '#1e40af' });
+        const headerHeight = measure(columns.map(column => column.label));
+        
+        ensureSpace(headerHeight + (rows.length > 0 ? measure(rows[0]) : 0));
+        header();
+        rows.forEach((cells, index) => {
+            if (y + measure(cells) > bottom) {
+                newPage();
+                header();
+            }
+            drawRow(cells, { fill: index % 2 === 1 ? '#f9fafb' : null });
+        });
+        y += 10;
+    }
+    
+    return {
+        startSection,
+        heading,
+        paragraph,
+        space,
+        table,
+        get contentWidth() {
+            return contentWidth;
+        }
+    };
+}
+
+function formatPdfList(entries) {
+    return entries.length > 0 ? entries.map(([name, count]) => `${name} (${count})`).join(', ') : 'None';
+}
+
+/**
+ * Builds the report for the people in the current results: a cover page,
+ * summary statistics, one section per team and per project, and the full
+ * roster. Returns the PDF bytes.
+ */
+function generatePdfReport() {
+    const people = AppState.filteredData;
+    const title = 'Organizational Chart Report';
+    const pdf = createPdfDocument(title);
+    const layout = createReportLayout(pdf);
+    const { width, height, margin } = PDF_PAGE;
+    
+    // Cover page
+    const version = AppState.activeVersion;
+    const lastUpdate = localStorage.getItem('orgChartLastUpdate');
+    const datasetDate = version ? new Date(version.timestamp) : (lastUpdate ? new Date(lastUpdate) : null);
+    const filters = describeFilterParams(new URLSearchParams(getSavedViewState()));
+    
+    pdf.addPage();
+    pdf.rect(0, 0, width, 230, '#1e40af');
+    pdf.text(margin, 130, title, { size: 28, bold: true, color: '#ffffff' });
+    pdf.text(margin, 165, 'Personnel, teams, projects, data sources and services', { size: 13, color: '#dbeafe' });
+    
+    let coverY = 300;
+    const coverLine = (label, value) => {
+        pdf.text(margin, coverY, label, { size: 10, bold: true, color: '#6b7280' });
+        wrapPdfText(value, 12, width - margin * 2 - 130).forEach(textLine => {
+            pdf.text(margin + 130, coverY, textLine, { size: 12 });
+            coverY += 18;
+        });
+        coverY += 8;
+    };
+    coverLine('Dataset', version ? `v${version.id} from ${version.source}` : AppState.csvFileName);
+    coverLine('Dataset date', datasetDate ? datasetDate.toLocaleString() : 'Unknown');
+    coverLine('Generated', new Date().toLocaleString());
+    coverLine('People', `${people.length} of ${AppState.rawData.length} in the dataset`);
+    coverLine('Filters applied', filters.length > 0 ? filters.join('; ') : 'None (full roster)');
+    
+    // Summary
+    const active = people.filter(isActivePerson).length;
+    const counts = Object.fromEntries(Object.keys(ENTITY_TYPES).map(type => [type, countEntityMembers(people, type)]));
+    
+    layout.startSection('Summary');
+    layout.table([{ label: 'Measure', width: 0.6 }, { label: 'Count', width: 0.4 }], [
+        ['People', String(people.length)],
+        ['Active', String(active)],
+        ['Inactive', String(people.length - active)],
+        ...Object.entries(ENTITY_TYPES).map(([type, config]) => [config.plural, String(counts[type].length)])
+    ]);
+    layout.heading('Largest teams');
+    layout.paragraph(formatPdfList(counts.team.slice(0, 10)));
+    layout.heading('Institutions');
+    layout.paragraph(formatPdfList(counts.institution));
+    layout.heading('Roles');
+    layout.paragraph(formatPdfList(Object.entries(countBy(people, person => person.role || 'Unknown')).sort((a, b) => b[1] - a[1])));
+    layout.heading('Most used data sources');
+    layout.paragraph(formatPdfList(counts.dataSource.slice(0, 10)));
+    layout.heading('Most used services');
+    layout.paragraph(formatPdfList(counts.service.slice(0, 10)));
+    
+    // Teams
+    layout.startSection('Teams');
+    if (counts.team.length === 0) {
+        layout.paragraph('No teams among the people in this report.');
+    }
+    counts.team.forEach(([team, size]) => {
+        const members = people.filter(person => getEntityValues(person, 'team').includes(team));
+        layout.heading(`${team} (${size})`);
+        layout.paragraph(`Institutions: ${formatPdfList(countEntityMembers(members, 'institution'))}`, { size: 9 });
+        layout.paragraph(`Projects: ${formatPdfList(countEntityMembers(members, 'project'))}`, { size: 9 });
+        layout.space(4);
+        layout.table(
+            [{ label: 'Name', width: 0.3 }, { label: 'Role', width: 0.3 }, { label: 'Institution', width: 0.25 }, { label: 'Status', width: 0.15 }],
+            members.map(person => [person.name, person.role || '', person.institution || '', person.status || 'active'])
+        );
+    });
+    
+    // Projects
+    layout.startSection('Projects');
+    if (counts.project.length === 0) {
+        layout.paragraph('No projects among the people in this report.');
+    }
+    counts.project.forEach(([project, size]) => {
+        const members = people.filter(person => getEntityValues(person, 'project').includes(project));
+        layout.heading(`${project} (${size})`);
+        layout.paragraph(`People: ${members.map(person => `${person.name}${person.role ? ` (${person.role})` : ''}`).join(', ')}`, { size: 9 });
+        layout.paragraph(`Teams: ${formatPdfList(countEntityMembers(members, 'team'))}`, { size: 9 });
+        layout.paragraph(`Data sources: ${formatPdfList(countEntityMembers(members, 'dataSource'))}`, { size: 9 });
+        layout.space(6);
+    });
+    
+    // Roster
+    layout.startSection('Roster');
+    layout.table(
+        [
+            { label: 'Name', width: 0.17 }, { label: 'Email', width: 0.22 }, { label: 'Role', width: 0.17 },
+            { label: 'Team', width: 0.17 }, { label: 'Institution', width: 0.15 }, { label: 'Status', width: 0.12 }
+        ],
+        people.map(person => [
+            person.name, person.email || '', person.role || '', getEntityValues(person, 'team').join(', '),
+            person.institution || '', person.status || 'active'
+        ])
+    );
+    
+    // Footers, now that the page count is known (the cover has none)
+    for (let page = 2; page <= pdf.pageCount; page++) {
+        pdf.setPage(page);
+        pdf.line(margin, height - margin + 5, width - margin, height - margin + 5);
+        pdf.text(margin, height - margin + 18, title, { size: 8, color: '#6b7280' });
+        pdf.text(width - margin, height - margin + 18, `Page ${page} of ${pdf.pageCount}`, { size: 8, color: '#6b7280', align: 'right' });
+    }
+    
+    return pdf.build();
+}
+
 // ================================
 // LOCAL STORAGE
 // ================================
-function saveToLocalStorage() {
+function saveToLocalStorage(source, version = null) {
+    AppState.activeVersion = version;
+    persistSnapshot();
+    
+    if (!version) {
+        recordDataVersion(source);
+    }
+}
+
+function persistSnapshot() {
     const dataToSave = {
         rawData: AppState.rawData,
         csvHeaders: AppState.csvHeaders,
+        aliases: AppState.aliases,
+        entityMetadata: AppState.entityMetadata,
+        dataAccess: AppState.dataAccess,
+        version: AppState.activeVersion,
         timestamp: new Date().toISOString()
     };
     localStorage.setItem('orgChartData', JSON.stringify(dataToSave));
     localStorage.setItem('orgChartLastUpdate', new Date().toISOString());
 }
 
+// ================================
+// DATA HISTORY (INDEXEDDB)
+// ================================
+let historyDBPromise = null;
+
+function openHistoryDB() {
+    if (!historyDBPromise) {
+        historyDBPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available in this browser'));
+                return;
+            }
+            const request = indexedDB.open(HISTORY_DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(HISTORY_STORE, { keyPath: 'id', autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return historyDBPromise;
+}
+
+async function historyTransaction(mode, operation) {
+    const db = await openHistoryDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(HISTORY_STORE, mode);
+        const request = operation(transaction.objectStore(HISTORY_STORE));
+        transaction.oncomplete = () => resolve(request ? request.result : undefined);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+function getVersionMeta(record) {
+    return {
+        id: record.id,
+        source: record.source,
+        timestamp: record.timestamp,
+        rowCount: record.rowCount
+    };
+}
+
+async function listHistoryVersions() {
+    const records = await historyTransaction('readonly', store => store.getAll());
+    return records.sort((a, b) => b.id - a.id);
+}
+
+function getHistoryVersion(id) {
+    return historyTransaction('readonly', store => store.get(id));
+}
+
+/**
+ * Stores the dataset as a new version unless it is identical to the latest
+ * one, then trims the store to MAX_HISTORY_VERSIONS. Resolves to the
+ * metadata of the version now holding the data.
+ */
+async function saveHistoryVersion({ rawData, csvHeaders, aliases, source }) {
+    const versions = await listHistoryVersions();
+    const latest = versions[0];
+    if (latest && JSON.stringify([latest.rawData, latest.csvHeaders, normalizeAliases(latest.aliases)]) === 
+            JSON.stringify([rawData, csvHeaders, normalizeAliases(aliases)])) {
+        return getVersionMeta(latest);
+    }
+    
+    const record = {
+        timestamp: new Date().toISOString(),
+        source,
+        rowCount: rawData.length,
+        rawData,
+        csvHeaders,
+        aliases
+    };
+    record.id = await historyTransaction('readwrite', store => store.add(record));
+    
+    const expired = versions.slice(MAX_HISTORY_VERSIONS - 1);
+    if (expired.length > 0) {
+        await historyTransaction('readwrite', store => {
+            expired.forEach(version => store.delete(version.id));
+        });
+    }
+    
+    return getVersionMeta(record);
+}
+
+async function recordDataVersion(source) {
+    try {
+        AppState.activeVersion = await saveHistoryVersion({
+            rawData: AppState.rawData,
+            csvHeaders: AppState.csvHeaders,
+            aliases: AppState.aliases,
+            source
+        });
+        persistSnapshot();
+        updateDataInfoBar(AppState.dataInfoMessage);
+    } catch (error) {
+        console.warn('Could not record data history:', error);
+    }
+}
+
+async function showHistoryModal() {
+    if (!requirePermission('history')) return;
+    
+    document.getElementById('historyModal').classList.add('active');
+    await renderHistory();
+}
+
+function closeHistoryModal() {
+    document.getElementById('historyModal').classList.remove('active');
+}
+
+async function renderHistory() {
+    const container = document.getElementById('historyModalBody');
+    
+    let versions;
+    try {
+        versions = await listHistoryVersions();
+    } catch (error) {
+        container.innerHTML = `<p class="history-empty">History is unavailable: ${escapeHtml(error.message)}</p>`;
+        return;
+    }
+    
+    if (versions.length === 0) {
+        container.innerHTML = '<p class="history-empty">No versions recorded yet</p>';
+        return;
+    }
+    
+    const activeId = AppState.activeVersion ? AppState.activeVersion.id : null;
+    const versionOptions = selected => versions.map(v => 
+        `<option value="${v.id}" ${v.id === selected ? 'selected' : ''}>v${v.id} - ${escapeHtml(v.source)} (${new Date(v.timestamp).toLocaleString()})</option>`
+    ).join('');
+    
+    container.innerHTML = `
+        <div class="history-compare">
+            <select id="historyCompareFrom" class="filter-select">${versionOptions(versions[Math.min(1, versions.length - 1)].id)}</select>
+            <i class="fas fa-arrow-right"></i>
+            <select id="historyCompareTo" class="filter-select">${versionOptions(versions[0].id)}</select>
+            <button class="btn-secondary" data-action="compare-versions">
+                <i class="fas fa-exchange-alt"></i>
+                Compare
+            </button>
+        </div>
+        <div id="historyCompareResult"></div>
+        <div class="table-container">
+            <table class="data-table history-table">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Saved</th>
+                        <th>Source</th>
+                        <th>Rows</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${versions.map(v => `
+                        <tr class="${v.id === activeId ? 'active-version' : ''}">
+                            <td><strong>v${v.id}</strong></td>
+                            <td>${new Date(v.timestamp).toLocaleString()} <small>(${getTimeAgo(new Date(v.timestamp))})</small></td>
+                            <td>${escapeHtml(v.source)}</td>
+                            <td>${v.rowCount}</td>
+                            <td>
+                                ${v.id === activeId ? 
+                                    '<span class="status-badge active">Active</span>' : 
+                                    `<button class="btn-secondary" data-action="restore-version" data-version-id="${v.id}" 
+                                             ${can('restore') ? '' : 'disabled title="Only admins can restore versions"'}>
+                                        <i class="fas fa-undo"></i>
+                                        Restore
+                                    </button>`
+                                }
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function compareHistoryVersions() {
+    const fromId = Number(document.getElementById('historyCompareFrom').value);
+    const toId = Number(document.getElementById('historyCompareTo').value);
+    const container = document.getElementById('historyCompareResult');
+    
+    let from, to;
+    try {
+        [from, to] = await Promise.all([getHistoryVersion(fromId), getHistoryVersion(toId)]);
+    } catch (error) {
+        showToast(`Could not read the history: ${error.message}`, 'error');
+        return;
+    }
+    if (!from || !to) {
+        container.innerHTML = '<p class="history-empty">Version not found</p>';
+        return;
+    }
+    
+    const diff = diffDatasets(from.rawData, to.rawData);
+    container.innerHTML = `
+        <div class="history-diff">
+            <h4>Changes from v${fromId} to v${toId}</h4>
+            ${countDiffChanges(diff) === 0 ? 
+                '<p class="history-empty">These versions contain the same data</p>' : 
+                renderDatasetDiff(diff)
+            }
+        </div>
+    `;
+}
+
+async function restoreHistoryVersion(id) {
+    if (!requirePermission('restore')) return;
+    
+    if (!confirm(`Restore version v${id}? The current data stays available in the history.`)) {
+        return;
+    }
+    
+    let record;
+    try {
+        record = await getHistoryVersion(id);
+    } catch (error) {
+        showToast(`Could not read version v${id}: ${error.message}`, 'error');
+        return;
+    }
+    if (!record) {
+        showToast('Version not found', 'error');
+        return;
+    }
+    
+    AppState.csvHeaders = record.csvHeaders || [];
+    // Versions saved before the alias registry existed keep the current one
+    if (record.aliases) {
+        AppState.aliases = normalizeAliases(record.aliases);
+    }
+    loadCSVData(record.rawData, record.source, getVersionMeta(record));
+    updateDataInfoBar(`Data loaded: ${record.rowCount} personnel from ${record.source}`);
+    showToast(`Restored version v${id}`, 'success');
+    await renderHistory();
+}
+
 // ================================
 // UTILITY FUNCTIONS
 // ================================
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes a value for use in HTML text or a quoted attribute. Every value
+ * that comes from uploaded data must pass through here before it is
+ * interpolated into an innerHTML template.
+ */
+function escapeHtml(value) {
+    if (value === undefined || value === null) return '';
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function splitTags(value) {
+    if (Array.isArray(value)) return value;
+    return value ? value.split(';').map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+/**
+ * Renders entity values as tags that open the entity's detail modal
+ * through the delegated click handler.
+ */
+function renderEntityTag(name, type, options = {}) {
+    const label = options.highlight ? highlightText(name) : escapeHtml(name);
+    const count = options.count === undefined ? '' : ` <small>(${options.count})</small>`;
+    return `<span class="tag ${ENTITY_TYPES[type].tagClass}" data-action="show-entity" data-type="${type}" data-name="${escapeHtml(name)}">${label}${count}</span>`;
+}
+
+function renderEntityTags(value, type, options = {}) {
+    return splitTags(value).map(tag => renderEntityTag(tag, type, options)).join('');
+}
+
+function getStatusClass(status) {
+    return status === 'inactive' ? 'inactive' : 'active';
+}
+
+function renderStatusBadge(status) {
+    return `<span class="status-badge ${getStatusClass(status)}">${escapeHtml(status)}</span>`;
+}
+
+function renderMemberChip(person) {
+    return `<span class="member-chip" data-action="show-person" data-person-id="${getPersonId(person)}">${escapeHtml(person.name)}</span>`;
+}
+
 function getInitials(name) {
     if (!name) return '??';
     const parts = name.split(' ');
@@ -1300,6 +8343,21 @@ function getTimeAgo(date) {
     return `${Math.floor(diff / 31536000)} years ago`;
 }
 
+function editDistance(a, b) {
+    // Levenshtein distance with a single rolling row
+    const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let previous = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const current = row[j];
+            row[j] = a[i - 1] === b[j - 1] ? previous : 1 + Math.min(previous, row[j], row[j - 1]);
+            previous = current;
+        }
+    }
+    return row[b.length];
+}
+
 function showToast(message, type = 'info') {
     const container = document.getElementById('toastContainer');
     
@@ -1313,10 +8371,8 @@ function showToast(message, type = 'info') {
         info: 'info-circle'
     };
     
-    toast.innerHTML = `
-        <i class="fas fa-${icons[type]}"></i>
-        <span>${message}</span>
-    `;
+    toast.innerHTML = `<i class="fas fa-${icons[type]}"></i><span></span>`;
+    toast.querySelector('span').textContent = message;
     
     container.appendChild(toast);
     
@@ -1352,8 +8408,7 @@ function debounce(func, wait) {
 // ================================
 // GLOBAL FUNCTION EXPORTS
 // ================================
-window.showPersonDetails = showPersonDetails;
-window.showProjectDetails = showProjectDetails;
-window.showDataSourceDetails = showDataSourceDetails;
-window.changePage = changePage;
-window.sortTable = sortTable;
+// Rendered views use delegated data-action handlers, so only the
+// console-facing helpers documented in the README are exposed.
+window.hashPassphrase = hashPassphrase;
+window.registerAuthProvider = registerAuthProvider;
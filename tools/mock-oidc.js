@@ -0,0 +1,155 @@
+/**
+ * Mock OpenID Connect provider for testing OIDC sign-in locally.
+ *
+ *   node tools/mock-oidc.js [port]
+ *
+ * Serves an issuer at http://localhost:8080/default with discovery, an
+ * authorize page to pick who signs in, a PKCE-checking token endpoint and
+ * the JWKS. ID tokens are RS256 and carry a `roles` claim. Everything is kept
+ * in memory and a new signing key is made on every start. Never expose it.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8080);
+const ISSUER = `http://localhost:${PORT}/default`;
+const USERS = [
+    { sub: 'admin', name: 'Ada Admin', email: 'admin@example.com', roles: ['org-chart-admin'] },
+    { sub: 'editor', name: 'Eddie Editor', email: 'editor@example.com', roles: ['org-chart-editor'] },
+    { sub: 'viewer', name: 'Vera Viewer', email: 'viewer@example.com', roles: [] }
+];
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+const codes = new Map();
+
+function base64Url(data) {
+    return Buffer.from(data).toString('base64url');
+}
+
+function signIdToken(claims) {
+    const header = base64Url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+    const payload = base64Url(JSON.stringify(claims));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${payload}`), privateKey);
+    return `${header}.${payload}.${base64Url(signature)}`;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+}
+
+function send(res, status, body, type = 'application/json') {
+    res.writeHead(status, {
+        'Content-Type': type,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(type === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(body)));
+        req.on('error', reject);
+    });
+}
+
+function renderAuthorizePage(params) {
+    const links = USERS.map(user => {
+        const query = new URLSearchParams(params);
+        query.set('user', user.sub);
+        return `<li><a href="/default/approve?${escapeHtml(query.toString())}">${escapeHtml(user.name)}</a> (${escapeHtml(user.roles.join(', ') || 'no roles')})</li>`;
+    });
+    return `<!DOCTYPE html><title>Mock sign-in</title><h1>Sign in as</h1><ul>${links.join('')}</ul>`;
+}
+
+function approve(params, res) {
+    const user = USERS.find(candidate => candidate.sub === params.get('user'));
+    if (!user || !params.get('redirect_uri') || params.get('code_challenge_method') !== 'S256') {
+        send(res, 400, 'Unknown user or missing redirect_uri / S256 code challenge', 'text/plain');
+        return;
+    }
+    
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+        user,
+        clientId: params.get('client_id'),
+        redirectUri: params.get('redirect_uri'),
+        challenge: params.get('code_challenge'),
+        nonce: params.get('nonce')
+    });
+    const redirect = new URL(params.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    redirect.searchParams.set('state', params.get('state') || '');
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+}
+
+async function exchangeCode(req, res) {
+    const params = await readBody(req);
+    const grant = codes.get(params.get('code'));
+    codes.delete(params.get('code'));
+    
+    const verifier = params.get('code_verifier') || '';
+    const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+    if (!grant || grant.clientId !== params.get('client_id') || grant.redirectUri !== params.get('redirect_uri') || grant.challenge !== challenge) {
+        send(res, 400, { error: 'invalid_grant' });
+        return;
+    }
+    
+    const now = Math.floor(Date.now() / 1000);
+    const { user } = grant;
+    send(res, 200, {
+        token_type: 'Bearer',
+        access_token: crypto.randomBytes(16).toString('hex'),
+        expires_in: 3600,
+        id_token: signIdToken({
+            iss: ISSUER,
+            aud: grant.clientId,
+            sub: user.sub,
+            name: user.name,
+            email: user.email,
+            roles: user.roles,
+            nonce: grant.nonce,
+            iat: now,
+            exp: now + 3600
+        })
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    try {
+        if (req.method === 'OPTIONS') {
+            send(res, 204, '', 'text/plain');
+        } else if (url.pathname === '/default/.well-known/openid-configuration') {
+            send(res, 200, {
+                issuer: ISSUER,
+                authorization_endpoint: `${ISSUER}/authorize`,
+                token_endpoint: `${ISSUER}/token`,
+                jwks_uri: `${ISSUER}/jwks`,
+                response_types_supported: ['code'],
+                id_token_signing_alg_values_supported: ['RS256'],
+                code_challenge_methods_supported: ['S256']
+            });
+        } else if (url.pathname === '/default/jwks') {
+            send(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' }] });
+        } else if (url.pathname === '/default/authorize') {
+            send(res, 200, renderAuthorizePage(url.searchParams), 'text/html');
+        } else if (url.pathname === '/default/approve') {
+            approve(url.searchParams, res);
+        } else if (url.pathname === '/default/token' && req.method === 'POST') {
+            await exchangeCode(req, res);
+        } else {
+            send(res, 404, { error: 'not_found' });
+        }
+    } catch (error) {
+        send(res, 500, { error: 'server_error', error_description: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Mock OIDC issuer running at ${ISSUER}`);
+});